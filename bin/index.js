@@ -9,18 +9,62 @@ import { execSync } from "child_process";
 
 import { isWindows, logVerbose, logDebug, isValidProjectName } from "../src/utils.js";
 import { parseTree, indexStructure } from "../src/parser.js";
-import { createCustomWithContent, createReadme } from "../src/creator.js";
+import { lintTree, lintContent, hasErrors } from "../src/lint.js";
+import { loadStructureFromFile } from "../src/formats.js";
+import { isValidTemplateName } from "../src/templateBundle.js";
+import {
+  isInteractive,
+  readLines,
+  readLinesFromFile,
+  countContentLines,
+  ask,
+  askYesNo,
+  editText,
+} from "../src/input.js";
+import {
+  getDefaultVariables,
+  parseVariableFlags,
+  findVariables,
+  interpolateStructure,
+} from "../src/variables.js";
+import {
+  createCustomWithContent,
+  createSummary,
+  getReadmeContent,
+  CONFLICT_POLICIES,
+} from "../src/creator.js";
+import { buildPlan, formatPlan } from "../src/plan.js";
+import { createJournal, recordCreated, rollback } from "../src/journal.js";
 import { templates } from "../src/templates.js";
 import { loadConfig, getConfigPath } from "../src/config.js";
 import { gitignoreTemplates } from "../src/gitignore.js";
 import {
+  saveTemplate,
   saveTemplateFromInput,
-  loadTemplate,
-  listTemplates,
+  templateExists,
+  copyTemplate,
+  renameTemplate,
+  updateTemplateStructure,
+  findTemplate,
+  loadTemplateRecord,
+  resolveTemplate,
+  layerTemplates,
+  listTemplateEntries,
   deleteTemplate,
+  exportTemplate,
+  importTemplate,
   getTemplatesDir,
 } from "../src/templateManager.js";
-import { generateTree, generateTreeForSkeldir } from "../src/treeGenerator.js";
+import {
+  scanDirectory,
+  readDirectoryStructure,
+  renderStructureTree,
+  DEFAULT_IGNORE_PATTERNS,
+  countStructure,
+  DEFAULT_MAX_FILE_SIZE,
+  SORT_KEYS,
+} from "../src/treeGenerator.js";
+import { TREE_FORMATS, formatTree, nodesToStructure } from "../src/treeFormats.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,10 +85,74 @@ function initGitRepo(targetDir, verbose = false) {
   }
 }
 
+function splitList(value) {
+  return value ? value.split(",").map((item) => item.trim()).filter(Boolean) : [];
+}
+
+// --ignore adds to the default patterns; --no-default-ignores drops them.
+// With --gitignore the ignore files replace the defaults.
+function getIgnorePatterns(options, gitignore = false) {
+  const useDefaults = options.defaultIgnores !== false && !gitignore;
+  return [...(useDefaults ? DEFAULT_IGNORE_PATTERNS : []), ...splitList(options.ignore)];
+}
+
+// Resolve a template name, exiting with a readable error on broken inheritance
+function resolveTemplateOrExit(name, projectName, debug = false) {
+  try {
+    return resolveTemplate(name, projectName);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    if (debug) console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+function printLintIssues(issues) {
+  issues.forEach((issue) => {
+    const where = issue.line ? `line ${issue.line}: ` : "";
+    if (issue.severity === "error") {
+      console.error(chalk.red(`  ✖ ${where}${issue.message}`));
+    } else {
+      console.error(chalk.yellow(`  ⚠ ${where}${issue.message}`));
+    }
+  });
+}
+
+// `skeldir tree` keeps going past what it can't read; this says what's missing
+function printReadErrors(errors) {
+  const count = errors.length === 1 ? "1 entry" : `${errors.length} entries`;
+  console.error(chalk.yellow(`\n⚠️  ${count} could not be read, so the tree is incomplete:\n`));
+  errors.forEach((e) => console.error(chalk.yellow(`  ⚠ ${e.path}: ${e.error}`)));
+  console.error("");
+}
+
+// Reports problems in the input before anything is created. Errors mean
+// entries would be lost, so they need confirmation (or --yes).
+async function confirmLintIssues(issues, options) {
+  if (!issues.length) return;
+
+  console.error(chalk.yellow("\n⚠️  Problems found in the structure:\n"));
+  printLintIssues(issues);
+  console.error();
+  if (!hasErrors(issues) || options.yes || options.dryRun) return;
+
+  if (!isInteractive()) {
+    console.error(chalk.red("❌ Fix the structure, or pass --yes to create it anyway.\n"));
+    process.exit(1);
+  }
+  if (!(await askYesNo("Some entries would be lost. Create anyway?"))) {
+    console.log(chalk.red("\n⚠️  Aborted by user.\n"));
+    process.exit(0);
+  }
+}
+
 program
   .name("skeldir")
+  // Subcommands reuse some option names (e.g. --guess-folders); keep the
+  // main command's options from swallowing theirs
+  .enablePositionalOptions()
   .description("CLI to scaffold projects • skeldir = tree → dir, skeldirnt = dir → tree")
-  .argument("<project-name>", "Name of the project folder")
+  .argument("[project-name]", "Name of the project folder (defaults to the --into folder name)")
   .option("--flutter", "Generate Flutter folder structure")
   .option("--java", "Generate Java project")
   .option("--python", "Generate Python project")
@@ -53,10 +161,39 @@ program
   .option("--node", "Generate Node.js project")
   .option("--react", "Generate React project")
   .option("--custom", "Create project structure from pasted directory tree")
-  .option("--use-template <name>", "Use a saved custom template")
+  .option("--input <file>", "Read the --custom tree from a file instead of prompting")
+  .option("-y, --yes", "Skip confirmation prompts")
+  .option("--use-template <name>", "Use a saved custom template (or a built-in by name)")
+  .option(
+    "--add <name>",
+    "Layer a fragment or template on top, e.g. docker, github-actions (repeatable)",
+    (value, previous) => [...previous, value],
+    []
+  )
+  .option("--no-default", "Ignore the defaultTemplate from config")
+  .option("--from <file>", "Create structure from a tree, Markdown list, YAML or JSON file")
+  .option("--guess-folders", "Also create leaf entries like 'utils' or 'tests' (no extension) as folders")
+  .option(
+    "--var <name=value>",
+    "Set a template variable used as {{name}} (repeatable)",
+    (value, previous) => [...previous, value],
+    []
+  )
   .option("--index", "Prefix folders/files with their order in the tree")
+  .option("--empty-files", "Create files with no content instead of placeholders")
+  .option("--annotate", "Write inline tree comments (# note, <- note) into file headers")
   .option("--git", "Initialize git repository")
+  .option("--readme", "Generate a README.md even if the template has none")
+  .option("--gitignore", "Generate a .gitignore (the default, except with --into)")
   .option("--no-gitignore", "Skip .gitignore file generation")
+  .option("--into <dir>", "Scaffold into an existing directory (e.g. '.') instead of a new one")
+  .option(
+    "--on-conflict <policy>",
+    `What to do with existing files when using --into (${CONFLICT_POLICIES.join(", ")})`,
+    "skip"
+  )
+  .option("--dry-run", "Preview every file and folder without writing anything")
+  .option("--json", "Print the --dry-run plan as JSON")
   .option("--verbose", "Enable verbose logging")
   .option("--debug", "Enable debug logs (more detailed)")
   .option("--show-config", "Show current configuration")
@@ -78,31 +215,44 @@ program
     logDebug(`Detected platform: ${isWindows ? "Windows" : "Unix-like"}`, debug);
     logDebug(`Loaded config: ${JSON.stringify(config)}`, debug);
 
-    // Validate project name
-    if (!isValidProjectName(projectName)) {
-      console.log(
-        chalk.red(
-          "\n❌ Invalid project name. Use only letters, numbers, dashes, or underscores.\n"
-        )
-      );
-      process.exit(1);
-    }
+    let targetDir;
+    if (options.into) {
+      targetDir = path.resolve(options.into);
+      if (!fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
+        console.log(chalk.red(`\n❌ Error: Directory not found: ${targetDir}\n`));
+        process.exit(1);
+      }
+      if (!CONFLICT_POLICIES.includes(options.onConflict)) {
+        console.log(
+          chalk.red(
+            `\n❌ Invalid conflict policy '${options.onConflict}'. Use one of: ${CONFLICT_POLICIES.join(", ")}\n`
+          )
+        );
+        process.exit(1);
+      }
+      projectName = projectName || path.basename(targetDir);
+    } else {
+      if (!projectName) {
+        console.log(chalk.red("\n❌ Missing project name (or use --into <dir>).\n"));
+        process.exit(1);
+      }
 
-    // Check if directory already exists
-    const targetDir = path.join(process.cwd(), projectName);
-    if (fs.existsSync(targetDir)) {
-      console.log(chalk.red("\n❌ Error: Folder already exists.\n"));
-      process.exit(1);
-    }
+      // Validate project name
+      if (!isValidProjectName(projectName)) {
+        console.log(
+          chalk.red(
+            "\n❌ Invalid project name. Use only letters, numbers, dashes, or underscores.\n"
+          )
+        );
+        process.exit(1);
+      }
 
-    // Create project directory
-    try {
-      fs.mkdirSync(targetDir);
-      logVerbose(`Project directory created at: ${targetDir}`, verbose);
-    } catch (err) {
-      console.error(chalk.red(`❌ Failed to create directory: ${err.message}`));
-      if (debug) console.error(err.stack);
-      process.exit(1);
+      // Check if directory already exists
+      targetDir = path.join(process.cwd(), projectName);
+      if (fs.existsSync(targetDir)) {
+        console.log(chalk.red("\n❌ Error: Folder already exists. Use --into to add to it.\n"));
+        process.exit(1);
+      }
     }
 
     // Determine whether to initialize git
@@ -112,6 +262,7 @@ program
     let structure = null;
     let needsReadme = false;
     let templateType = null;
+    let variableDefinitions = [];
 
     const templateOptions = [
       "flutter",
@@ -125,112 +276,324 @@ program
 
     const selectedTemplate = templateOptions.find((opt) => options[opt]);
 
+    // Keep stdout clean for `--dry-run --json`
+    const announce = (message) => {
+      if (!(options.dryRun && options.json)) console.log(message);
+    };
+
     if (selectedTemplate) {
-      console.log(
+      announce(
         chalk.green(`\n🚀 Creating ${selectedTemplate.toUpperCase()} project structure...\n`)
       );
       structure = templates[selectedTemplate](projectName);
       templateType = selectedTemplate;
       needsReadme = !structure["README.md"]; // Create README if template doesn't have one
     } else if (options.useTemplate) {
-      console.log(
+      announce(
         chalk.green(`\n📂 Using custom template '${options.useTemplate}'...\n`)
       );
-      structure = loadTemplate(options.useTemplate);
-      if (!structure) {
+      const resolved = resolveTemplateOrExit(options.useTemplate, projectName, debug);
+      if (!resolved) {
         console.log(
           chalk.red(`\n❌ Template '${options.useTemplate}' not found.\n`)
         );
         console.log(chalk.gray(`Templates are stored in: ${getTemplatesDir()}\n`));
         process.exit(1);
       }
-      templateType = "custom";
-    } else if (options.custom) {
-      console.log(
-        chalk.green("\n📋 Paste your directory structure (end with an empty line):\n")
+      structure = resolved.structure;
+      templateType = resolved.type;
+      variableDefinitions = resolved.variables;
+      needsReadme = resolved.source === "builtin" && !structure["README.md"];
+    } else if (options.from) {
+      announce(
+        chalk.green(`\n📄 Reading structure from '${options.from}'...\n`)
       );
-
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-      });
-
-      const lines = [];
-      for await (const line of rl) {
-        if (!line.trim()) break;
-        lines.push(line);
-      }
-      rl.close();
-
-      // Confirm for large structures
-      if (lines.length > 20) {
-        const confirmRl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout,
+      try {
+        structure = loadStructureFromFile(options.from, null, {
+          guessFolders: options.guessFolders,
         });
-
-        const answer = await new Promise((resolve) => {
-          confirmRl.question(
-            `You pasted a large structure with ${lines.length} lines. Are you sure you want to create it? (yes/no): `,
-            (ans) => {
-              confirmRl.close();
-              resolve(ans.trim().toLowerCase());
-            }
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        if (debug) console.error(error.stack);
+        process.exit(1);
+      }
+      await confirmLintIssues(
+        lintContent(fs.readFileSync(options.from, "utf8"), null, {
+          filePath: options.from,
+          basePath: targetDir,
+          guessFolders: options.guessFolders,
+        }),
+        options
+      );
+      templateType = "custom";
+    } else if (options.custom || options.input) {
+      let lines;
+      try {
+        if (options.input) {
+          lines = readLinesFromFile(options.input);
+        } else if (!isInteractive()) {
+          lines = await readLines(process.stdin);
+        } else {
+          console.log(
+            chalk.green("\n📋 Paste your directory structure (end with an empty line):\n")
           );
-        });
+          lines = await readLines(process.stdin, { untilBlank: true });
+        }
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        if (debug) console.error(error.stack);
+        process.exit(1);
+      }
 
-        if (answer !== "yes" && answer !== "y") {
+      // Confirm for large structures, unless told not to or nobody can answer
+      const lineCount = countContentLines(lines);
+      if (lineCount > 20 && !options.yes && isInteractive()) {
+        const confirmed = await askYesNo(
+          `You pasted a large structure with ${lineCount} lines. Are you sure you want to create it?`
+        );
+        if (!confirmed) {
           console.log(chalk.red("\n⚠️  Aborted by user.\n"));
           process.exit(0);
         }
       }
 
-      structure = parseTree(lines);
+      const parseOptions = { guessFolders: options.guessFolders };
+      await confirmLintIssues(lintTree(lines, { ...parseOptions, basePath: targetDir }), options);
+      structure = parseTree(lines, parseOptions);
       templateType = "custom";
+    } else if (config.defaultTemplate && options.default !== false) {
+      // No template chosen on the command line: fall back to the configured default
+      announce(
+        chalk.green(`\n📂 Using default template '${config.defaultTemplate}' (from config)...\n`)
+      );
+      const resolved = resolveTemplateOrExit(config.defaultTemplate, projectName, debug);
+      if (!resolved) {
+        console.log(
+          chalk.red(`\n❌ Default template '${config.defaultTemplate}' not found.\n`)
+        );
+        console.log(
+          chalk.gray(
+            "Fix it with `skeldir config --set-default-template <name>`, or pass --no-default.\n"
+          )
+        );
+        process.exit(1);
+      }
+      structure = resolved.structure;
+      templateType = resolved.type;
+      variableDefinitions = resolved.variables;
+      needsReadme = resolved.source === "builtin" && !structure["README.md"];
     }
 
-    // Create the structure
+    // Layer extra fragments on top (--add docker --add github-actions)
+    if (options.add.length) {
+      try {
+        structure = layerTemplates(structure, options.add, projectName);
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        if (debug) console.error(error.stack);
+        process.exit(1);
+      }
+    }
+
+    // Fill in {{variables}}: --var flags, then config, then built-in values
+    // (projectName, packageName, author, year, ...), then template defaults,
+    // then ask for the rest
     if (structure) {
-      const finalStructure = options.index
-        ? indexStructure(structure)
-        : structure;
-      createCustomWithContent(targetDir, finalStructure, verbose, debug);
-
-      // Create README for templates that need it
-      if (needsReadme && config.alwaysIncludeReadme !== false) {
-        createReadme(targetDir, projectName, verbose);
-      }
-
-      // Add .gitignore if not explicitly disabled and template doesn't have one
-      if (!options.noGitignore && !structure[".gitignore"]) {
-        const gitignoreContent =
-          gitignoreTemplates[templateType] || gitignoreTemplates.default;
-        fs.writeFileSync(
-          path.join(targetDir, ".gitignore"),
-          gitignoreContent
+      const templateDefaults = {};
+      for (const v of variableDefinitions) {
+        if (v.default !== undefined) templateDefaults[v.name] = v.default;
+      }
+
+      let variables;
+      try {
+        const provided = { ...(config.variables || {}), ...parseVariableFlags(options.var) };
+        // Built-ins are only looked up when something uses them
+        const used = findVariables(structure, { contents: true });
+        for (const name in provided) used.delete(name);
+        variables = {
+          ...templateDefaults,
+          ...getDefaultVariables(projectName, used),
+          ...provided,
+        };
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        process.exit(1);
+      }
+
+      // Declared variables and those in names; an unknown {{...}} inside file
+      // contents is left alone
+      const wanted = new Set([
+        ...variableDefinitions.map((v) => v.name),
+        ...findVariables(structure),
+      ]);
+      const missing = [...wanted].filter((name) => !(name in variables));
+      if (missing.length && isInteractive() && !options.yes) {
+        for (const name of missing) {
+          const definition = variableDefinitions.find((v) => v.name === name);
+          const hint = definition && definition.description ? ` — ${definition.description}` : "";
+          const value = await ask(`Value for {{${name}}}${hint} (leave empty to keep as is): `);
+          if (value) variables[name] = value;
+        }
+      } else if (missing.length) {
+        console.warn(
+          chalk.yellow(
+            `⚠️  Unset template variables left as is: ${missing.map((n) => `{{${n}}}`).join(", ")}`
+          )
         );
-        logVerbose("Created .gitignore file", verbose);
+      }
+
+      logDebug(`Template variables: ${JSON.stringify(variables)}`, debug);
+      try {
+        structure = interpolateStructure(structure, variables);
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        process.exit(1);
+      }
+    }
+
+    const finalStructure =
+      structure && options.index ? indexStructure(structure) : structure;
+
+    // Decide on README and .gitignore up front so --dry-run can report them.
+    // An existing directory (--into) usually has its own, so there they are
+    // only added when asked for with --readme / --gitignore. options.gitignore
+    // is true, false (--no-gitignore) or undefined.
+    const defaultReadme = !options.into && needsReadme && config.alwaysIncludeReadme !== false;
+    const writeReadme = Boolean(
+      structure && !structure["README.md"] && (options.readme || defaultReadme)
+    );
+    const wantsGitignore = options.into ? options.gitignore === true : options.gitignore !== false;
+    let gitignoreTemplate = null;
+    if (wantsGitignore && !(structure && structure[".gitignore"])) {
+      gitignoreTemplate =
+        structure && gitignoreTemplates[templateType] ? templateType : "default";
+    }
+
+    const plan = buildPlan(finalStructure, {
+      projectName,
+      targetDir,
+      readme: writeReadme,
+      gitignore: gitignoreTemplate,
+      gitInit: shouldInitGit,
+      conflict: options.into ? options.onConflict : null,
+      emptyFiles: options.emptyFiles,
+    });
+
+    if (options.dryRun) {
+      if (options.json) {
+        console.log(JSON.stringify(plan, null, 2));
+      } else {
+        console.log(chalk.cyan("\n🔍 Dry run — nothing will be written:\n"));
+        console.log(formatPlan(plan));
+        console.log();
+      }
+      return;
+    }
+
+    // Everything created from here on is journaled and undone on failure
+    const journal = createJournal();
+
+    // Ask about each existing file up front; creation itself is synchronous
+    let conflict = "fail";
+    if (options.into) {
+      conflict = options.onConflict;
+      const existing = plan.entries.filter((e) => e.type !== "directory" && e.exists);
+      if (conflict === "fail" && existing.length) {
+        console.log(chalk.red("\n❌ These files already exist:\n"));
+        existing.forEach((e) => console.log(`  ${e.path}`));
+        console.log(chalk.gray("\nUse --on-conflict skip|overwrite|prompt to continue.\n"));
+        process.exit(1);
+      }
+      if (conflict === "prompt") {
+        if (!isInteractive()) {
+          console.log(chalk.red("\n❌ --on-conflict prompt needs an interactive terminal.\n"));
+          process.exit(1);
+        }
+        const overwrites = new Set();
+        for (const entry of existing) {
+          if (await askYesNo(`${entry.path} already exists. Overwrite it?`)) {
+            overwrites.add(entry.path);
+          }
+        }
+        conflict = (relativePath) =>
+          overwrites.has(relativePath.split(path.sep).join("/")) ? "overwrite" : "skip";
       }
     } else {
-      console.log(
-        chalk.yellow(
-          "\n⚠️  No framework/language option selected. Created empty folder.\n"
-        )
-      );
+      // Create project directory
+      try {
+        fs.mkdirSync(targetDir);
+        recordCreated(journal, targetDir);
+        logVerbose(`Project directory created at: ${targetDir}`, verbose);
+      } catch (err) {
+        console.error(chalk.red(`❌ Failed to create directory: ${err.message}`));
+        if (debug) console.error(err.stack);
+        process.exit(1);
+      }
+    }
+
+    const summary = createSummary();
+    const createOptions = {
+      annotate: options.annotate,
+      emptyFiles: options.emptyFiles,
+      conflict,
+      summary,
+      journal,
+    };
+
+    // README for templates that need it, .gitignore unless disabled or
+    // already part of the template
+    const extras = {};
+    if (writeReadme) {
+      extras["README.md"] = getReadmeContent(projectName);
+    }
+    if (gitignoreTemplate) {
+      extras[".gitignore"] = gitignoreTemplates[gitignoreTemplate];
+    }
 
-      // Still add default .gitignore if not disabled
-      if (!options.noGitignore) {
-        fs.writeFileSync(
-          path.join(targetDir, ".gitignore"),
-          gitignoreTemplates.default
+    try {
+      // Create the structure
+      if (finalStructure) {
+        createCustomWithContent(targetDir, finalStructure, verbose, debug, createOptions);
+      } else {
+        console.log(
+          chalk.yellow(
+            options.into
+              ? "\n⚠️  No framework/language option selected. Nothing to scaffold.\n"
+              : "\n⚠️  No framework/language option selected. Created empty folder.\n"
+          )
         );
-        logVerbose("Created default .gitignore file", verbose);
       }
+      createCustomWithContent(targetDir, extras, verbose, debug, createOptions);
+
+      // Initialize git if requested
+      if (shouldInitGit) {
+        const gitDir = path.join(targetDir, ".git");
+        if (fs.existsSync(gitDir)) {
+          logVerbose("Git repository already exists, skipping git init", verbose);
+        } else if (initGitRepo(targetDir, verbose)) {
+          recordCreated(journal, gitDir);
+        }
+      }
+    } catch (error) {
+      const { undone, failures } = rollback(journal);
+      console.error(
+        chalk.red(`\n❌ Scaffolding failed, rolled back ${undone} change(s): ${error.message}\n`)
+      );
+      failures.forEach((f) =>
+        console.error(chalk.yellow(`⚠️  Could not roll back ${f.path}: ${f.message}`))
+      );
+      process.exit(1);
     }
 
-    // Initialize git if requested
-    if (shouldInitGit) {
-      initGitRepo(targetDir, verbose);
+    if (options.into) {
+      console.log(chalk.green(`\n✅ Scaffolded '${projectName}' into ${targetDir}\n`));
+      console.log(
+        `  Created: ${summary.created.length}  Skipped: ${summary.skipped.length}  Overwritten: ${summary.overwritten.length}`
+      );
+      summary.skipped.forEach((p) => console.log(chalk.gray(`  skipped      ${p}`)));
+      summary.overwritten.forEach((p) => console.log(chalk.yellow(`  overwritten  ${p}`)));
+      console.log();
+      return;
     }
 
     console.log(
@@ -243,15 +606,109 @@ const templateCmd = program.command("template");
 
 templateCmd
   .command("save <name>")
-  .description("Save a custom template from pasted directory structure")
-  .action(async (name) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
+  .description("Save a custom template from pasted directory structure, or from an existing directory")
+  .option("--from-dir <path>", "Capture an existing directory, including file contents")
+  .option("-H, --include-hidden", "Include hidden files/folders (with --from-dir)")
+  .option("-i, --ignore <patterns>", "Comma-separated patterns to ignore on top of the defaults (with --from-dir)")
+  .option("--no-default-ignores", "Don't ignore node_modules, dist, build and the other defaults (with --from-dir)")
+  .option(
+    "--respect-gitignore",
+    "Leave out what .gitignore and .skeldirignore files exclude (with --from-dir)"
+  )
+  .option(
+    "--only <globs>",
+    "Comma-separated globs; only matching files are captured (with --from-dir)"
+  )
+  .option(
+    "--max-file-size <kb>",
+    "Store files larger than this as placeholders (with --from-dir)",
+    String(DEFAULT_MAX_FILE_SIZE / 1024)
+  )
+  .option("--description <text>", "Describe what the template is for")
+  .option("--tags <tags>", "Comma-separated tags (e.g. node,api)")
+  .option("--author <name>", "Template author")
+  .option(
+    "--variable <name[=description]>",
+    "Document a {{variable}} the template uses (repeatable)",
+    (value, previous) => [...previous, value],
+    []
+  )
+  .option("--gitignore <type>", `Recommended .gitignore (${Object.keys(gitignoreTemplates).join(", ")})`)
+  .option("--extends <template>", "Build on top of another template")
+  .option("--include <templates>", "Comma-separated fragments/templates to layer in (e.g. docker,eslint)")
+  .option("--guess-folders", "Also treat pasted leaf entries like 'utils' or 'tests' as folders")
+  .option("-f, --force", "Replace an existing template with the same name")
+  .action(async (name, options) => {
+    let success;
+
+    // Check before asking for a paste that would be thrown away
+    if (templateExists(name) && !options.force) {
+      console.error(
+        chalk.red(`\n❌ Template '${name}' already exists. Use --force to replace it.\n`)
+      );
+      process.exit(1);
+    }
+
+    if (options.gitignore && !gitignoreTemplates[options.gitignore]) {
+      console.error(chalk.red(`\n❌ Unknown .gitignore type '${options.gitignore}'.\n`));
+      process.exit(1);
+    }
+    const maxFileSize = Number(options.maxFileSize);
+    if (!(maxFileSize > 0)) {
+      console.error(
+        chalk.red(
+          `\n❌ Invalid --max-file-size '${options.maxFileSize}'. Use a size in KB above 0.\n`
+        )
+      );
+      process.exit(1);
+    }
+    const variables = options.variable.map((spec) => {
+      const eq = spec.indexOf("=");
+      if (eq <= 0) return { name: spec.trim() };
+      return { name: spec.slice(0, eq).trim(), description: spec.slice(eq + 1) };
     });
+    const metadata = {
+      description: options.description,
+      tags: options.tags ? options.tags.split(",").map((t) => t.trim()).filter(Boolean) : [],
+      author: options.author,
+      variables,
+      gitignore: options.gitignore,
+      extends: options.extends,
+      include: options.include ? options.include.split(",").map((n) => n.trim()) : [],
+    };
+
+    if (options.fromDir) {
+      let result;
+      try {
+        result = readDirectoryStructure(options.fromDir, {
+          includeHidden: options.includeHidden || false,
+          gitignore: options.respectGitignore || false,
+          ignorePatterns: getIgnorePatterns(options, options.respectGitignore),
+          include: splitList(options.only),
+          maxFileSize: maxFileSize * 1024,
+        });
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        process.exit(1);
+      }
+
+      result.skipped.forEach((s) =>
+        console.log(chalk.gray(`  placeholder only: ${s.path} (${s.reason})`))
+      );
+      if (result.errors.length) printReadErrors(result.errors);
+      success = saveTemplate(name, result.structure, metadata, { force: options.force });
+    } else {
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
 
-    const success = await saveTemplateFromInput(name, rl);
-    rl.close();
+      success = await saveTemplateFromInput(name, rl, metadata, {
+        force: options.force,
+        guessFolders: options.guessFolders,
+      });
+      rl.close();
+    }
 
     if (success) {
       console.log(
@@ -262,18 +719,218 @@ templateCmd
 
 templateCmd
   .command("list")
-  .description("List all saved custom templates")
+  .description("List all templates and where each one comes from")
   .action(() => {
-    const templates = listTemplates();
-    if (templates.length === 0) {
-      console.log(chalk.yellow("\n⚠️  No saved templates found.\n"));
-      console.log(chalk.gray(`Templates are stored in: ${getTemplatesDir()}\n`));
-      return;
+    const entries = listTemplateEntries();
+    const width = Math.max(...entries.map((e) => e.name.length));
+
+    console.log(chalk.cyan("\n📂 Templates (first match wins):\n"));
+    entries.forEach((e) => {
+      let line = `  ${e.name.padEnd(width)}  ${e.scope.padEnd(8)}`;
+      if (e.path) line += `  ${e.path}`;
+      if (e.shadowedBy) {
+        console.log(chalk.gray(`${line}  (shadowed by ${e.shadowedBy})`));
+      } else {
+        console.log(line);
+        if (e.description) console.log(chalk.gray(`  ${" ".repeat(width)}  ${e.description}`));
+      }
+    });
+
+    if (!entries.some((e) => e.scope !== "built-in")) {
+      console.log(chalk.yellow("\n⚠️  No saved templates found."));
+      console.log(chalk.gray(`Templates are stored in: ${getTemplatesDir()}`));
+    }
+    console.log();
+  });
+
+templateCmd
+  .command("show <name>")
+  .description("Show a template's details and the tree it creates")
+  .action((name) => {
+    const resolved = resolveTemplateOrExit(name, "{{projectName}}");
+    if (!resolved) {
+      console.error(chalk.red(`\n❌ Template '${name}' not found.\n`));
+      process.exit(1);
+    }
+
+    const found = findTemplate(name);
+    const record = found ? loadTemplateRecord(name) : null;
+    const where = found ? `${found.scope}, ${found.path}` : "built-in";
+    console.log(chalk.cyan(`\n📦 ${name}`) + chalk.gray(`  (${where})\n`));
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : null);
+    const rows = record
+      ? [
+          ["Description", record.description],
+          ["Version", record.version],
+          ["Author", record.author],
+          ["Tags", (record.tags || []).join(", ")],
+          ["Extends", record.extends],
+          ["Includes", (record.include || []).join(", ")],
+          [".gitignore", record.gitignore],
+          ["Created", formatDate(record.createdAt)],
+          ["Updated", formatDate(record.updatedAt)],
+        ]
+      : [];
+    const { files, folders } = countStructure(resolved.structure);
+    rows.push(["Contents", `${files} file(s), ${folders} folder(s)`]);
+    rows
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => console.log(`  ${`${label}:`.padEnd(13)}${value}`));
+
+    if (resolved.variables.length) {
+      console.log("\n  Variables:");
+      resolved.variables.forEach((v) => {
+        let line = `    {{${v.name}}}`;
+        if (v.description) line += `  ${v.description}`;
+        if (v.default !== undefined) line += chalk.gray(`  (default: ${v.default})`);
+        console.log(line);
+      });
     }
 
-    console.log(chalk.cyan("\n📂 Saved Templates:\n"));
-    templates.forEach((t) => console.log(`  - ${t}`));
     console.log();
+    console.log(renderStructureTree(resolved.structure, name));
+  });
+
+templateCmd
+  .command("export <name>")
+  .description("Export a template as a portable bundle")
+  .option("-o, --output <file>", "Write the bundle to a file instead of stdout")
+  .action((name, options) => {
+    let bundle;
+    try {
+      bundle = exportTemplate(name);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+
+    const json = JSON.stringify(bundle, null, 2);
+    if (options.output) {
+      fs.writeFileSync(options.output, json + "\n", "utf8");
+      console.log(chalk.green(`\n✅ Template '${name}' exported to ${options.output}\n`));
+    } else {
+      console.log(json);
+    }
+  });
+
+templateCmd
+  .command("import <file>")
+  .description("Import a template bundle")
+  .option("--name <name>", "Save under a different name")
+  .option("-f, --force", "Replace an existing template with the same name")
+  .action((file, options) => {
+    try {
+      const record = importTemplate(file, { name: options.name, force: options.force });
+      console.log(chalk.green(`\n✅ Template '${record.name}' imported.\n`));
+      if (record.variables.length) {
+        console.log(
+          chalk.gray(`Variables: ${record.variables.map((v) => `{{${v.name}}}`).join(", ")}\n`)
+        );
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+templateCmd
+  .command("copy <source> <target>")
+  .description("Copy a saved or built-in template under a new name")
+  .option("-f, --force", "Replace an existing template with the target name")
+  .action((source, target, options) => {
+    try {
+      copyTemplate(source, target, { force: options.force });
+      console.log(chalk.green(`\n✅ Template '${source}' copied to '${target}'.\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+templateCmd
+  .command("rename <name> <new-name>")
+  .description("Rename a saved custom template")
+  .option("-f, --force", "Replace an existing template with the new name")
+  .action((name, newName, options) => {
+    try {
+      renameTemplate(name, newName, { force: options.force });
+      console.log(chalk.green(`\n✅ Template '${name}' renamed to '${newName}'.\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+const EDIT_HEADER = [
+  "# Lines starting with # are ignored. Folders end with /.",
+  "# Files that keep their path keep their saved contents.",
+  "# Save and close the editor to apply; leave it unchanged to cancel.",
+  "",
+].join("\n");
+
+templateCmd
+  .command("edit <name>")
+  .description("Edit a saved template's tree in $EDITOR")
+  .action(async (name) => {
+    if (!findTemplate(name)) {
+      const hint = resolveTemplate(name, "{{projectName}}")
+        ? ` It is built in; copy it first: skeldir template copy ${name} my-${name}`
+        : "";
+      console.error(chalk.red(`\n❌ No saved template named '${name}'.${hint}\n`));
+      process.exit(1);
+    }
+    const record = loadTemplateRecord(name);
+    if (!record) process.exit(1);
+
+    // Without the "<name>/" root line, so an entry added at the left edge is
+    // top-level instead of a sibling of the root
+    const tree = renderStructureTree(record.structure, name).replace(/^[^\n]*\n/, "");
+    let text = EDIT_HEADER + tree;
+    while (true) {
+      let edited;
+      try {
+        edited = editText(text, `${name}.tree`);
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        process.exit(1);
+      }
+      if (edited === text) {
+        console.log(chalk.gray("\nNo changes. Template not modified.\n"));
+        return;
+      }
+
+      // Blank out comment lines so error line numbers match the file
+      const lines = edited.split(/\r?\n/).map((line) => (line.startsWith("#") ? "" : line));
+      // Folders are written out with a trailing "/", so nothing is guessed
+      const issues = countContentLines(lines)
+        ? lintTree(lines, { guessFolders: false })
+        : [{ severity: "error", line: null, message: "The tree is empty" }];
+      if (!hasErrors(issues)) {
+        if (issues.length) {
+          console.error();
+          printLintIssues(issues);
+        }
+        try {
+          const structure = parseTree(lines, { guessFolders: false, unwrapRoot: false });
+          updateTemplateStructure(name, structure);
+        } catch (error) {
+          console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+          process.exit(1);
+        }
+        console.log(chalk.green(`\n✅ Template '${name}' updated.\n`));
+        return;
+      }
+
+      console.error(chalk.red("\n❌ The edited tree has problems:\n"));
+      printLintIssues(issues);
+      console.error();
+      if (!isInteractive() || !(await askYesNo("Re-open the editor to fix them?"))) {
+        console.error(chalk.yellow("\n⚠️  Template not saved.\n"));
+        process.exit(1);
+      }
+      text = edited;
+    }
   });
 
 templateCmd
@@ -288,6 +945,43 @@ templateCmd
     }
   });
 
+// Validate command
+program
+  .command("validate [file]")
+  .description("Check a tree, Markdown list, YAML or JSON structure for problems")
+  .option("--guess-folders", "Also treat leaf entries like 'utils' or 'tests' as folders")
+  .action(async (file, options) => {
+    let content;
+    try {
+      if (file) {
+        content = readLinesFromFile(file).join("\n");
+      } else if (!isInteractive()) {
+        content = (await readLines(process.stdin)).join("\n");
+      } else {
+        console.log(chalk.green("\n📋 Paste your directory structure (end with an empty line):\n"));
+        content = (await readLines(process.stdin, { untilBlank: true })).join("\n");
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+      process.exit(1);
+    }
+
+    const issues = lintContent(content, null, {
+      filePath: file,
+      guessFolders: options.guessFolders,
+    });
+    if (!issues.length) {
+      console.log(chalk.green("\n✅ No problems found.\n"));
+      return;
+    }
+
+    const errors = issues.filter((i) => i.severity === "error").length;
+    console.log();
+    printLintIssues(issues);
+    console.log(`\n${errors} error(s), ${issues.length - errors} warning(s)\n`);
+    if (errors) process.exit(1);
+  });
+
 // Config command
 program
   .command("config")
@@ -312,6 +1006,20 @@ program
     }
 
     if (options.setDefaultTemplate !== undefined) {
+      let exists;
+      try {
+        exists = Boolean(resolveTemplate(options.setDefaultTemplate, "project"));
+      } catch (error) {
+        exists = true;
+        console.log(chalk.yellow(`\n⚠️  ${error.message}`));
+      }
+      if (!exists) {
+        console.log(
+          chalk.yellow(
+            `\n⚠️  No built-in or saved template named '${options.setDefaultTemplate}' exists yet.`
+          )
+        );
+      }
       config.defaultTemplate = options.setDefaultTemplate;
       fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2));
       console.log(
@@ -320,7 +1028,7 @@ program
     }
   });
 
-program.usage("<project-name> [options]");
+program.usage("[project-name] [options]");
 
 // Tree generation command (skeldirnt = skeleton directory 'n tree)
 program
@@ -330,33 +1038,118 @@ program
   .option("-o, --output <file>", "Save output to a file")
   .option("-d, --max-depth <number>", "Maximum depth to traverse", "Infinity")
   .option("-H, --include-hidden", "Include hidden files/folders (starting with .)")
-  .option("-i, --ignore <patterns>", "Comma-separated patterns to ignore (e.g., node_modules,dist)")
+  .option(
+    "-i, --ignore <patterns>",
+    "Comma-separated patterns to ignore on top of the defaults (e.g. 'tmp,docs/generated')"
+  )
+  .option("--no-default-ignores", "Don't ignore node_modules, dist, build and the other defaults")
+  .option("--gitignore", "Leave out what .gitignore and .skeldirignore files exclude")
+  .option(
+    "--include <globs>",
+    "Comma-separated globs; only matching files are shown (e.g. 'src/**/*.test.js')"
+  )
+  .option("--only-dirs", "Show folders only")
+  .option("-l, --follow-symlinks", "Descend into symlinked folders (loops are detected)")
+  .option("-s, --size", "Show file sizes and folder totals")
+  .option("--lines", "Show line counts")
+  .option("--mtime", "Show last-modified times")
+  .option("--count", "Show how many files and folders each folder contains")
+  .option("--summary", "End with totals and a per-extension breakdown")
+  .option("--sort <key>", `Sort entries by ${SORT_KEYS.join(", ")}`, "name")
+  .option("-r, --reverse", "Reverse the sort order (folders still come first)")
+  .option("--dirs-first", "List folders before files (default, except with --sort none)")
+  .option("--mixed", "Sort folders and files together")
+  .option("--format <format>", `Output format (${TREE_FORMATS.join(", ")})`, "unicode")
+  .option("--strict", "Exit with an error if anything could not be read")
+  .option("--name <template>", "Template name for --format template (default: the folder name)")
+  .option("-f, --force", "Replace an existing template (with --format template)")
   .action((pathArg = ".", options) => {
-    const ignorePatterns = options.ignore
-      ? options.ignore.split(",").map((p) => p.trim())
-      : undefined;
+    const { format } = options;
+    if (!TREE_FORMATS.includes(format)) {
+      console.error(
+        chalk.red(`\n❌ Unknown format '${format}'. Use one of: ${TREE_FORMATS.join(", ")}\n`)
+      );
+      process.exit(1);
+    }
+    if (options.dirsFirst && options.mixed) {
+      console.error(chalk.red("\n❌ Use either --dirs-first or --mixed, not both.\n"));
+      process.exit(1);
+    }
 
     const treeOptions = {
       includeHidden: options.includeHidden || false,
       maxDepth: options.maxDepth === "Infinity" ? Infinity : parseInt(options.maxDepth, 10),
-      outputPath: options.output,
-      ignorePatterns,
+      gitignore: options.gitignore || false,
+      ignorePatterns: getIgnorePatterns(options, options.gitignore),
+      include: splitList(options.include),
+      onlyDirs: options.onlyDirs || false,
+      stats: Boolean(options.size || options.mtime || options.count || options.summary),
+      lines: options.lines || false,
+      sort: options.sort,
+      reverse: options.reverse || false,
+      dirsFirst: options.mixed ? false : options.dirsFirst,
+      followSymlinks: options.followSymlinks || false,
     };
 
+    let root;
     try {
-      const tree = generateTree(pathArg, treeOptions);
-
-      if (options.output) {
-        console.log(chalk.green(`\n✅ Tree saved to ${options.output}\n`));
-      } else {
-        console.log(chalk.cyan("\n🌳 Directory Tree:\n"));
-        console.log(tree);
-        console.log(chalk.gray("\n💡 Tip: Use --output <file> to save, or pipe to clipboard\n"));
-      }
+      root = scanDirectory(pathArg, treeOptions);
     } catch (error) {
       console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
       process.exit(1);
     }
+
+    const { errors } = root;
+    if (format === "template") {
+      if (errors.length) {
+        printReadErrors(errors);
+        if (options.strict) {
+          console.error(chalk.red("❌ Not saving an incomplete template (--strict).\n"));
+          process.exit(1);
+        }
+      }
+      const name = options.name || root.name;
+      if (!isValidTemplateName(name)) {
+        console.error(
+          chalk.red(
+            `\n❌ '${name}' is not a valid template name. Use letters, numbers, - and _ (pass --name).\n`
+          )
+        );
+        process.exit(1);
+      }
+      const saved = saveTemplate(
+        name,
+        nodesToStructure(root),
+        { description: `Captured from ${root.name}/` },
+        { force: options.force }
+      );
+      if (!saved) process.exit(1);
+      console.log(chalk.green(`\n✅ Template '${name}' saved successfully!\n`));
+      return;
+    }
+
+    const tree = formatTree(root, format, options);
+    if (options.output) {
+      try {
+        fs.writeFileSync(options.output, tree, "utf8");
+      } catch (error) {
+        console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`\n✅ Tree saved to ${options.output}\n`));
+    } else if (format === "unicode") {
+      console.log(chalk.cyan("\n🌳 Directory Tree:\n"));
+      console.log(tree);
+      console.log(chalk.gray("\n💡 Tip: Use --output <file> to save, or pipe to clipboard\n"));
+    } else {
+      // Raw output so it can be piped or redirected as-is
+      process.stdout.write(tree);
+    }
+
+    if (errors.length) {
+      printReadErrors(errors);
+      if (options.strict) process.exit(1);
+    }
   });
 
 program.parse();
@@ -0,0 +1,38 @@
+import { SYMLINKS, getSymlink, setSymlink } from "./parser.js";
+
+// Layers one structure on top of another, as used for `extends`, `include`
+// and `--add`:
+//   - folders merge recursively
+//   - a file in the upper layer replaces the file below it
+//   - a placeholder (null) never wipes out real content from below
+//   - a symlink is not a placeholder: it replaces the file below it
+//   - a file and a folder with the same name cannot be merged
+export function mergeStructures(base, layer, location = "") {
+  const result = { ...base };
+  // Copied, so links set below don't change `base`
+  if (base[SYMLINKS]) result[SYMLINKS] = { ...base[SYMLINKS] };
+
+  for (const key in layer) {
+    const upper = layer[key];
+    const lower = result[key];
+    const entryPath = location ? `${location}/${key}` : key;
+    const upperIsFolder = upper !== null && typeof upper === "object";
+    const lowerIsFolder = lower !== null && typeof lower === "object";
+    const upperLink = upper === null ? getSymlink(layer, key) : null;
+
+    if (!(key in result)) {
+      result[key] = upper;
+    } else if (upperIsFolder && lowerIsFolder) {
+      result[key] = mergeStructures(lower, upper, entryPath);
+    } else if (upperIsFolder !== lowerIsFolder) {
+      throw new Error(`Cannot merge '${entryPath}': it is a file in one template and a folder in another`);
+    } else if (upper !== null || upperLink) {
+      result[key] = upper;
+    } else {
+      continue;
+    }
+    if (upperLink || getSymlink(result, key)) setSymlink(result, key, upperLink);
+  }
+
+  return result;
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { mergeStructures } from "./compose.js";
+import { parseTree, getSymlink } from "./parser.js";
+
+describe("compose", () => {
+  describe("mergeStructures", () => {
+    it("merges folders recursively", () => {
+      const base = { src: { "a.js": null }, "README.md": null };
+      const layer = { src: { "b.js": null }, docs: {} };
+      expect(mergeStructures(base, layer)).toEqual({
+        src: { "a.js": null, "b.js": null },
+        "README.md": null,
+        docs: {},
+      });
+    });
+
+    it("keeps symlinks from both layers", () => {
+      const base = parseTree(["env.sh -> ../env.sh", "app.json", "README.md"]);
+      const layer = parseTree(["app.json -> ../app.json", "env.sh", "docs -> ../docs"]);
+      const result = mergeStructures(base, layer);
+      expect(result).toMatchObject({ "env.sh": null, "app.json": null, docs: null });
+      expect(getSymlink(result, "env.sh")).toBe("../env.sh");
+      expect(getSymlink(result, "app.json")).toBe("../app.json");
+      expect(getSymlink(result, "docs")).toBe("../docs");
+      expect(getSymlink(base, "app.json")).toBeNull();
+
+      const replaced = mergeStructures(base, { "env.sh": "export A=1" });
+      expect(getSymlink(replaced, "env.sh")).toBeNull();
+    });
+
+    it("lets the upper layer replace file content", () => {
+      expect(mergeStructures({ "index.js": "old" }, { "index.js": "new" })).toEqual({
+        "index.js": "new",
+      });
+    });
+
+    it("never replaces content with a placeholder", () => {
+      expect(mergeStructures({ "index.js": "kept" }, { "index.js": null })).toEqual({
+        "index.js": "kept",
+      });
+    });
+
+    it("refuses to merge a file with a folder", () => {
+      expect(() => mergeStructures({ src: { "a.js": null } }, { src: "x" })).toThrow(
+        /Cannot merge 'src'/
+      );
+      expect(() => mergeStructures({ a: { b: null } }, { a: { b: {} } })).toThrow(
+        /Cannot merge 'a\/b'/
+      );
+    });
+
+    it("does not modify its inputs", () => {
+      const base = { src: { "a.js": null } };
+      mergeStructures(base, { src: { "b.js": null } });
+      expect(base).toEqual({ src: { "a.js": null } });
+    });
+  });
+});
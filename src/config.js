@@ -7,6 +7,7 @@ const DEFAULT_CONFIG = {
   defaultTemplate: null,
   alwaysIncludeReadme: true,
   customTemplatesPath: null,
+  variables: {},
 };
 
 export function getConfigPath() {
@@ -1,34 +1,117 @@
 import fs from "fs";
 import path from "path";
-import { logVerbose, logDebug } from "./utils.js";
+import { logVerbose, logDebug, lstatIfExists } from "./utils.js";
+import { getAnnotation, getSymlink } from "./parser.js";
+import { recordCreated, recordOverwrite } from "./journal.js";
+import { getPlaceholder } from "./placeholders.js";
+
+export const CONFLICT_POLICIES = ["skip", "overwrite", "prompt", "fail"];
+
+const reportedErrors = new WeakSet();
+
+export function createSummary() {
+  return { created: [], skipped: [], overwritten: [] };
+}
+
+// `conflict` is a policy name or a function (relativePath) => policy, which
+// is how answers to "prompt" are collected before creation starts.
+export function resolveConflict(fullPath, relativePath, conflict, wantsDirectory) {
+  const existing = lstatIfExists(fullPath);
+  if (!existing) return "create";
+
+  // Folders are merged into through a symlink, but only a real folder
+  // can't be replaced
+  const isDirectory = fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory();
+  if (wantsDirectory && isDirectory) return "merge";
+
+  const policy = typeof conflict === "function" ? conflict(relativePath) : conflict;
+  if (policy === "skip" || policy === "prompt") return "skip";
+  if (policy === "overwrite") {
+    if (existing.isDirectory()) {
+      throw new Error(`Cannot overwrite folder with a file: ${relativePath}`);
+    }
+    return "overwrite";
+  }
+  throw new Error(`Already exists: ${relativePath}`);
+}
 
 export function createCustomWithContent(
   basePath,
   structure,
   verbose = false,
-  debug = false
+  debug = false,
+  options = {}
 ) {
+  const {
+    annotate = false,
+    emptyFiles = false,
+    conflict = "fail",
+    summary = createSummary(),
+    journal = null,
+    relativeTo = basePath,
+  } = options;
+
   for (const key in structure) {
     const fullPath = path.join(basePath, key);
+    const relativePath = path.relative(relativeTo, fullPath);
     const value = structure[key];
+    const isFolder = value !== null && typeof value === "object";
+    const linkTarget = value === null ? getSymlink(structure, key) : null;
     try {
-      if (value === null) {
-        fs.writeFileSync(fullPath, `// ${key} created by skeldir\n`);
+      const action = resolveConflict(fullPath, relativePath, conflict, isFolder);
+      if (action === "skip") {
+        summary.skipped.push(relativePath);
+        logVerbose(`Skipped existing: ${fullPath}`, verbose);
+        continue;
+      }
+      if (action === "overwrite") {
+        summary.overwritten.push(relativePath);
+        recordOverwrite(journal, fullPath);
+        // Replace an existing link rather than write through it
+        if (isFolder || linkTarget || fs.lstatSync(fullPath).isSymbolicLink()) {
+          fs.unlinkSync(fullPath);
+        }
+      } else if (action === "create") {
+        summary.created.push(relativePath);
+      }
+
+      if (linkTarget) {
+        // The target is written as given; it may not exist (yet)
+        fs.symlinkSync(linkTarget, fullPath);
+        if (action === "create") recordCreated(journal, fullPath);
+        logVerbose(`Created symlink: ${fullPath} -> ${linkTarget}`, verbose);
+      } else if (value === null) {
+        const comment = annotate ? getAnnotation(structure, key) : null;
+        const content = emptyFiles ? "" : getPlaceholder(key, comment);
+        fs.writeFileSync(fullPath, content);
+        if (action === "create") recordCreated(journal, fullPath);
         logVerbose(`Created file: ${fullPath}`, verbose);
       } else if (typeof value === "string") {
         fs.writeFileSync(fullPath, value);
+        if (action === "create") recordCreated(journal, fullPath);
         logVerbose(`Created file with content: ${fullPath}`, verbose);
       } else {
         fs.mkdirSync(fullPath, { recursive: true });
+        if (action !== "merge") recordCreated(journal, fullPath);
         logVerbose(`Created folder: ${fullPath}`, verbose);
-        createCustomWithContent(fullPath, value, verbose, debug);
+        createCustomWithContent(fullPath, value, verbose, debug, {
+          ...options,
+          summary,
+          relativeTo,
+        });
       }
     } catch (err) {
-      console.error(`❌ Error creating ${fullPath}: ${err.message}`);
-      if (debug) console.error(err.stack);
+      // Report once, where it happened, not again for every parent folder
+      if (!reportedErrors.has(err)) {
+        reportedErrors.add(err);
+        console.error(`❌ Error creating ${fullPath}: ${err.message}`);
+        if (debug) console.error(err.stack);
+      }
       throw err;
     }
   }
+
+  return summary;
 }
 
 export function writeFile(targetDir, filename, content, verbose = false) {
@@ -41,11 +124,10 @@ export function writeFile(targetDir, filename, content, verbose = false) {
   if (verbose) console.log(`Created file: ${filePath}`);
 }
 
+export function getReadmeContent(projectName) {
+  return `# ${projectName}\n\nCreated by skeldir CLI`;
+}
+
 export function createReadme(targetDir, projectName, verbose = false) {
-  writeFile(
-    targetDir,
-    "README.md",
-    `# ${projectName}\n\nCreated by skeldir CLI`,
-    verbose
-  );
+  writeFile(targetDir, "README.md", getReadmeContent(projectName), verbose);
 }
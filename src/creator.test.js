@@ -2,7 +2,15 @@ import { describe, it, expect, beforeEach, afterEach } from "vitest";
 import fs from "fs";
 import path from "path";
 import os from "os";
-import { createCustomWithContent, writeFile, createReadme } from "./creator.js";
+import {
+  createCustomWithContent,
+  writeFile,
+  createReadme,
+  createSummary,
+  resolveConflict,
+} from "./creator.js";
+import { parseTree } from "./parser.js";
+import { createJournal, rollback } from "./journal.js";
 
 describe("creator", () => {
   let testDir;
@@ -26,6 +34,22 @@ describe("creator", () => {
       expect(fs.readFileSync(filePath, "utf8")).toContain("created by skeldir");
     });
 
+    it("uses language-aware placeholders", () => {
+      createCustomWithContent(testDir, { "main.py": null, "data.json": null });
+      expect(fs.readFileSync(path.join(testDir, "main.py"), "utf8")).toBe(
+        "# main.py created by skeldir\n"
+      );
+      expect(fs.readFileSync(path.join(testDir, "data.json"), "utf8")).toBe("{}\n");
+    });
+
+    it("writes zero-byte files with emptyFiles", () => {
+      createCustomWithContent(testDir, { "main.py": null, "a.txt": "kept" }, false, false, {
+        emptyFiles: true,
+      });
+      expect(fs.readFileSync(path.join(testDir, "main.py"), "utf8")).toBe("");
+      expect(fs.readFileSync(path.join(testDir, "a.txt"), "utf8")).toBe("kept");
+    });
+
     it("creates files with custom content", () => {
       const structure = { "test.txt": "custom content" };
       createCustomWithContent(testDir, structure);
@@ -71,6 +95,125 @@ describe("creator", () => {
     });
   });
 
+  describe("createCustomWithContent annotations", () => {
+    it("writes tree comments into file headers when annotating", () => {
+      const structure = parseTree(["├── main.py  # entry point", "└── util.py"]);
+      createCustomWithContent(testDir, structure, false, false, { annotate: true });
+      expect(fs.readFileSync(path.join(testDir, "main.py"), "utf8")).toContain(
+        "entry point"
+      );
+    });
+
+    it("leaves comments out by default", () => {
+      const structure = parseTree(["├── main.py  # entry point", "└── util.py"]);
+      createCustomWithContent(testDir, structure);
+      expect(fs.readFileSync(path.join(testDir, "main.py"), "utf8")).not.toContain(
+        "entry point"
+      );
+    });
+  });
+
+  describe("createCustomWithContent conflicts", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, "src"));
+      fs.writeFileSync(path.join(testDir, "src", "index.js"), "existing");
+    });
+
+    const structure = { src: { "index.js": null, "util.js": null }, tests: {} };
+
+    it("merges into existing folders and skips existing files", () => {
+      const summary = createCustomWithContent(testDir, structure, false, false, {
+        conflict: "skip",
+      });
+      expect(fs.readFileSync(path.join(testDir, "src", "index.js"), "utf8")).toBe("existing");
+      expect(fs.existsSync(path.join(testDir, "src", "util.js"))).toBe(true);
+      expect(summary.skipped).toEqual([path.join("src", "index.js")]);
+      expect(summary.created).toEqual([path.join("src", "util.js"), "tests"]);
+      expect(summary.overwritten).toEqual([]);
+    });
+
+    it("overwrites existing files", () => {
+      const summary = createCustomWithContent(testDir, structure, false, false, {
+        conflict: "overwrite",
+      });
+      expect(fs.readFileSync(path.join(testDir, "src", "index.js"), "utf8")).toContain(
+        "created by skeldir"
+      );
+      expect(summary.overwritten).toEqual([path.join("src", "index.js")]);
+    });
+
+    it("fails on existing files by default", () => {
+      expect(() => createCustomWithContent(testDir, structure)).toThrow(/Already exists/);
+    });
+
+    it("accepts a per-file decision function", () => {
+      const summary = createCustomWithContent(
+        testDir,
+        { src: { "index.js": "new" } },
+        false,
+        false,
+        { conflict: () => "overwrite", summary: createSummary() }
+      );
+      expect(fs.readFileSync(path.join(testDir, "src", "index.js"), "utf8")).toBe("new");
+      expect(summary.overwritten).toHaveLength(1);
+    });
+
+    it("refuses to replace a folder with a file", () => {
+      expect(() =>
+        createCustomWithContent(testDir, { src: null }, false, false, {
+          conflict: "overwrite",
+        })
+      ).toThrow(/Cannot overwrite folder/);
+    });
+
+    it("treats a path through an existing file as a conflict on that file", () => {
+      fs.writeFileSync(path.join(testDir, "lib"), "existing");
+      const nested = path.join(testDir, "lib", "c.js");
+      expect(resolveConflict(nested, path.join("lib", "c.js"), "fail", false)).toBe("create");
+
+      const lib = { lib: { "c.js": null } };
+      expect(() => createCustomWithContent(testDir, lib)).toThrow("Already exists: lib");
+      const summary = createCustomWithContent(testDir, lib, false, false, { conflict: "skip" });
+      expect(summary.skipped).toEqual(["lib"]);
+      createCustomWithContent(testDir, lib, false, false, { conflict: "overwrite" });
+      expect(fs.existsSync(nested)).toBe(true);
+    });
+  });
+
+  describe("createCustomWithContent symlinks", () => {
+    it("creates symlinks from '->' entries", () => {
+      const structure = parseTree(["shared/", "  a.json", "app/", "  a.json -> ../shared/a.json"]);
+      createCustomWithContent(testDir, structure);
+      const link = path.join(testDir, "app", "a.json");
+      expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+      expect(fs.readlinkSync(link)).toBe("../shared/a.json");
+    });
+
+    it("replaces an existing link, and rollback puts it back", () => {
+      fs.symlinkSync("missing", path.join(testDir, "current"));
+      const journal = createJournal();
+      createCustomWithContent(testDir, parseTree(["current -> v2", "v2/"]), false, false, {
+        conflict: "overwrite",
+        journal,
+      });
+      expect(fs.readlinkSync(path.join(testDir, "current"))).toBe("v2");
+
+      rollback(journal);
+      expect(fs.readlinkSync(path.join(testDir, "current"))).toBe("missing");
+      expect(fs.existsSync(path.join(testDir, "v2"))).toBe(false);
+    });
+
+    it("writes a file in place of a link instead of through it", () => {
+      fs.writeFileSync(path.join(testDir, "target.txt"), "keep");
+      fs.symlinkSync("target.txt", path.join(testDir, "link.txt"));
+      createCustomWithContent(testDir, { "link.txt": "new" }, false, false, {
+        conflict: "overwrite",
+      });
+      expect(fs.lstatSync(path.join(testDir, "link.txt")).isSymbolicLink()).toBe(false);
+      expect(fs.readFileSync(path.join(testDir, "target.txt"), "utf8")).toBe("keep");
+    });
+  });
+
   describe("writeFile", () => {
     it("writes file to target directory", () => {
       writeFile(testDir, "test.txt", "content", false);
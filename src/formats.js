@@ -0,0 +1,302 @@
+import fs from "fs";
+import path from "path";
+import { parseTree, splitSymlink, getSymlink, setSymlink } from "./parser.js";
+import { sanitizeName } from "./utils.js";
+
+export const INPUT_FORMATS = ["tree", "markdown", "yaml", "json"];
+
+// Saved templates and exported bundles share one self-describing format:
+// metadata plus the structure. Older saved templates are a bare structure.
+export const TEMPLATE_FORMAT = "skeldir-template";
+
+export function isTemplateRecord(data) {
+  return Boolean(data && typeof data === "object" && data.format === TEMPLATE_FORMAT);
+}
+
+const EXTENSION_FORMATS = {
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".yml": "yaml",
+  ".yaml": "yaml",
+  ".json": "json",
+  ".txt": "tree",
+  ".tree": "tree",
+};
+
+const MD_BULLET = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const YAML_KEY = /^\s*(?:"[^"]*"|'[^']*'|[^\s#:'"][^:]*?):(?:\s|$)/;
+const BOX_CHARS = /[├└│]|^\s*(?:\||`)--/;
+
+export function detectFormat(filePath, content) {
+  const ext = filePath ? path.extname(filePath).toLowerCase() : "";
+  if (EXTENSION_FORMATS[ext]) return EXTENSION_FORMATS[ext];
+
+  const trimmed = content.trim();
+  if (trimmed.startsWith("{")) return "json";
+
+  const lines = trimmed.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.some((l) => BOX_CHARS.test(l))) return "tree";
+  if (lines.some((l) => MD_BULLET.test(l))) return "markdown";
+  if (lines.length && YAML_KEY.test(lines[0])) return "yaml";
+  return "tree";
+}
+
+// `skeldir tree --format json` lists what it couldn't read under this key;
+// it's a report, not part of the structure
+export const ERRORS_KEY = "$errors";
+
+// Files are null or string content, folders are objects; a trailing "/" on
+// a key marks a folder, and "name -> target" a symlink, the same way they
+// do in pasted trees.
+export function normalizeStructure(input, location = "root") {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error(`Invalid structure at ${location}: expected an object`);
+  }
+
+  const result = {};
+  for (const [rawKey, value] of Object.entries(input)) {
+    if (location === "root" && rawKey === ERRORS_KEY) continue;
+    const link = splitSymlink(rawKey);
+    if (link.target) {
+      if (value !== null && value !== undefined) {
+        throw new Error(`Invalid value for '${rawKey}' at ${location}: a symlink has no contents`);
+      }
+      const name = sanitizeName(link.name);
+      if (!name) continue;
+      result[name] = null;
+      setSymlink(result, name, link.target);
+      continue;
+    }
+
+    const isFolder = rawKey.endsWith("/");
+    const name = sanitizeName(isFolder ? rawKey.slice(0, -1) : rawKey);
+    if (!name) continue;
+
+    if (value === null || value === undefined) {
+      result[name] = isFolder ? {} : null;
+    } else if (typeof value === "string") {
+      result[name] = value;
+    } else if (typeof value === "number" || typeof value === "boolean") {
+      result[name] = String(value);
+    } else if (typeof value === "object" && !Array.isArray(value)) {
+      result[name] = normalizeStructure(value, `${location}/${name}`);
+    } else {
+      throw new Error(`Invalid value for '${rawKey}' at ${location}`);
+    }
+  }
+  return result;
+}
+
+// The other way round, for writing JSON: symlinks are kept on a symbol key,
+// which JSON.stringify drops, so they become "name -> target" keys
+export function serializeStructure(structure) {
+  const result = {};
+  for (const key in structure) {
+    const value = structure[key];
+    const target = value === null ? getSymlink(structure, key) : null;
+    if (target) {
+      result[`${key} -> ${target}`] = null;
+    } else {
+      result[key] = value && typeof value === "object" ? serializeStructure(value) : value;
+    }
+  }
+  return result;
+}
+
+// Emphasis is only removed when it wraps the whole name ("**src/**",
+// "`index.js`"), so names like __init__.py and __tests__/ stay intact
+const MD_EMPHASIS = /^(\*\*|__|`)(\S(?:.*?\S)?)\1(?=\s|$)/;
+
+function cleanMarkdownName(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .trim()
+    .replace(MD_EMPHASIS, "$2");
+}
+
+// Lines that aren't list items become blank, so line numbers still match
+// the Markdown file
+export function markdownToTreeLines(content) {
+  const lines = [];
+  let inFence = false;
+
+  for (const raw of content.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      inFence = !inFence;
+      lines.push("");
+      continue;
+    }
+
+    const match = !inFence && raw.replace(/\t/g, "    ").match(MD_BULLET);
+    if (!match) {
+      lines.push("");
+      continue;
+    }
+    const [, lead, text] = match;
+    lines.push(" ".repeat(lead.length + 2) + cleanMarkdownName(text));
+  }
+  return lines;
+}
+
+export function parseMarkdownList(content, options = {}) {
+  return parseTree(markdownToTreeLines(content), options);
+}
+
+function stripYamlComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function unquoteYaml(text) {
+  if (text.length >= 2) {
+    if (text.startsWith('"') && text.endsWith('"')) {
+      return JSON.parse(text);
+    }
+    if (text.startsWith("'") && text.endsWith("'")) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+  }
+  return text;
+}
+
+function yamlScalar(text) {
+  if (text === "" || text === "~" || text === "null") return null;
+  if (text === "{}") return {};
+  return unquoteYaml(text);
+}
+
+// A small YAML reader covering what structure files need: nested maps,
+// sequences of names, quoted scalars and `|` / `>` block scalars.
+export function parseYamlStructure(content) {
+  const rawLines = content.replace(/\t/g, "    ").split(/\r?\n/);
+  let pos = 0;
+
+  const indentOf = (line) => line.match(/^ */)[0].length;
+  const isContent = (line) => line.trim() && !/^\s*#/.test(line) && line.trim() !== "---";
+
+  function skipBlank() {
+    while (pos < rawLines.length && !isContent(rawLines[pos])) pos++;
+  }
+
+  function readBlockScalar(parentIndent, indicator) {
+    const block = [];
+    while (pos < rawLines.length) {
+      const line = rawLines[pos];
+      if (line.trim() && indentOf(line) <= parentIndent) break;
+      block.push(line);
+      pos++;
+    }
+    while (block.length && !block[block.length - 1].trim()) block.pop();
+    const blockIndent = Math.min(
+      ...block.filter((l) => l.trim()).map(indentOf)
+    );
+    const body = block.map((l) => l.slice(blockIndent));
+    const text = indicator.startsWith(">")
+      ? body.join("\n").replace(/([^\n])\n(?=[^\n])/g, "$1 ")
+      : body.join("\n");
+    return indicator.endsWith("-") ? text : `${text}\n`;
+  }
+
+  function readValue(rest, indent) {
+    if (/^[|>][-+]?$/.test(rest)) return readBlockScalar(indent, rest);
+    if (rest !== "") return yamlScalar(rest);
+
+    skipBlank();
+    if (pos >= rawLines.length) return null;
+    const next = rawLines[pos];
+    const nextIndent = indentOf(next);
+    if (nextIndent > indent) return readBlock(nextIndent);
+    // A compact sequence at the key's own indent ends at the next sibling key
+    if (nextIndent === indent && next.trim().startsWith("- ")) return readBlock(indent, true);
+    return null;
+  }
+
+  function readBlock(indent, sequenceOnly = false) {
+    const result = {};
+    while (true) {
+      skipBlank();
+      if (pos >= rawLines.length) break;
+      const line = rawLines[pos];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) {
+        throw new Error(`Unexpected indentation on line ${pos + 1}`);
+      }
+
+      const text = stripYamlComment(line.trim());
+      const isItem = text === "-" || text.startsWith("- ");
+      if (sequenceOnly && !isItem) break;
+      if (isItem) {
+        const item = text.slice(1).trim();
+        if (YAML_KEY.test(item)) {
+          // "- key: value" starts a map nested at the item's column
+          rawLines[pos] = " ".repeat(indent + 2) + item;
+          Object.assign(result, readBlock(indent + 2));
+        } else {
+          pos++;
+          const name = unquoteYaml(item);
+          if (name) result[name] = name.endsWith("/") ? {} : null;
+        }
+        continue;
+      }
+
+      const keyMatch = text.match(/^("[^"]*"|'[^']*'|[^:]+?):(?:\s+(.*))?$/);
+      if (!keyMatch) {
+        throw new Error(`Expected 'name:' on line ${pos + 1}`);
+      }
+      pos++;
+      const key = unquoteYaml(keyMatch[1].trim());
+      result[key] = readValue((keyMatch[2] || "").trim(), indent);
+    }
+    return result;
+  }
+
+  skipBlank();
+  if (pos >= rawLines.length) return {};
+  return readBlock(indentOf(rawLines[pos]));
+}
+
+// `options` are passed on to parseTree for tree and Markdown input
+export function parseStructure(content, format, options = {}) {
+  switch (format) {
+    case "json": {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+      return normalizeStructure(isTemplateRecord(data) ? data.structure : data);
+    }
+    case "yaml":
+      return normalizeStructure(parseYamlStructure(content));
+    case "markdown":
+      return parseMarkdownList(content, options);
+    case "tree":
+      return parseTree(content.split(/\r?\n/), options);
+    default:
+      throw new Error(
+        `Unknown input format '${format}'. Use one of: ${INPUT_FORMATS.join(", ")}`
+      );
+  }
+}
+
+export function loadStructureFromFile(filePath, format, options = {}) {
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`File not found: ${resolvedPath}`);
+  }
+
+  const content = fs.readFileSync(resolvedPath, "utf8");
+  return parseStructure(content, format || detectFormat(resolvedPath, content), options);
+}
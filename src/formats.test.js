@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import {
+  detectFormat,
+  normalizeStructure,
+  serializeStructure,
+  parseMarkdownList,
+  parseYamlStructure,
+  parseStructure,
+  loadStructureFromFile,
+} from "./formats.js";
+import { parseTree, getSymlink } from "./parser.js";
+
+describe("formats", () => {
+  describe("detectFormat", () => {
+    it("uses the file extension when known", () => {
+      expect(detectFormat("layout.md", "")).toBe("markdown");
+      expect(detectFormat("layout.yaml", "")).toBe("yaml");
+      expect(detectFormat("layout.yml", "")).toBe("yaml");
+      expect(detectFormat("layout.json", "")).toBe("json");
+    });
+
+    it("sniffs content when the extension is unknown", () => {
+      expect(detectFormat("layout", '{ "src": {} }')).toBe("json");
+      expect(detectFormat("layout", "- src/\n  - index.js")).toBe("markdown");
+      expect(detectFormat("layout", "src:\n  index.js:")).toBe("yaml");
+      expect(detectFormat("layout", "├── src/\n│   └── index.js")).toBe("tree");
+      expect(detectFormat("layout", "|-- src/\n`-- index.js")).toBe("tree");
+    });
+  });
+
+  describe("parseMarkdownList", () => {
+    it("parses nested bullet lists", () => {
+      const content = [
+        "# Layout",
+        "",
+        "Some prose about the project.",
+        "",
+        "- src/",
+        "  - `index.js`",
+        "  * **utils/**",
+        "    + helpers.js",
+        "- README.md",
+      ].join("\n");
+      const result = parseMarkdownList(content);
+      expect(result.src).toHaveProperty("index.js", null);
+      expect(result.src.utils).toHaveProperty("helpers.js", null);
+      expect(result).toHaveProperty("README.md", null);
+    });
+
+    it("keeps underscores and backticks inside names", () => {
+      const content = [
+        "- __tests__/",
+        "  - a_b__c.py",
+        "- pkg/",
+        "  - __init__.py",
+        "  - **__main__.py**",
+        "- `setup.py` # entry point",
+      ].join("\n");
+      // JSON drops the annotation, which is kept on a symbol key
+      expect(JSON.parse(JSON.stringify(parseMarkdownList(content)))).toEqual({
+        __tests__: { "a_b__c.py": null },
+        pkg: { "__init__.py": null, "__main__.py": null },
+        "setup.py": null,
+      });
+    });
+
+    it("ignores lists inside code fences", () => {
+      const content = ["- a.txt", "```", "- b.txt", "```", "- c.txt"].join("\n");
+      expect(Object.keys(parseMarkdownList(content))).toEqual(["a.txt", "c.txt"]);
+    });
+  });
+
+  describe("parseYamlStructure", () => {
+    it("parses nested maps", () => {
+      const content = [
+        "# service layout",
+        "src:",
+        "  index.js:",
+        "  lib:",
+        "    db.js: ~",
+        "  empty: {}",
+        "README.md: \"# Title\"",
+      ].join("\n");
+      expect(parseYamlStructure(content)).toEqual({
+        src: { "index.js": null, lib: { "db.js": null }, empty: {} },
+        "README.md": "# Title",
+      });
+    });
+
+    it("parses sequences of names", () => {
+      const content = ["src:", "  - index.js", "  - lib/", "  - config:", "      app.json:"].join(
+        "\n"
+      );
+      expect(parseYamlStructure(content)).toEqual({
+        src: { "index.js": null, "lib/": {}, config: { "app.json": null } },
+      });
+    });
+
+    it("ends a sequence at the key's indent at the next sibling key", () => {
+      expect(parseYamlStructure("src:\n- a.js\n- b.js\nREADME.md:\n")).toEqual({
+        src: { "a.js": null, "b.js": null },
+        "README.md": null,
+      });
+      const nested = ["app:", "  lib:", "  - db.js", "  - config:", "    - app.json", "  main.js:"];
+      expect(parseYamlStructure(nested.join("\n"))).toEqual({
+        app: { lib: { "db.js": null, config: { "app.json": null } }, "main.js": null },
+      });
+    });
+
+    it("parses block scalars as file content", () => {
+      const content = ["main.py: |", "  def main():", "      pass", "other.txt:"].join("\n");
+      const result = parseYamlStructure(content);
+      expect(result["main.py"]).toBe("def main():\n    pass\n");
+      expect(result["other.txt"]).toBeNull();
+    });
+
+    it("reports bad indentation with a line number", () => {
+      expect(() => parseYamlStructure("src:\n  a.js:\n    b.js: x\n   c.js:")).toThrow(
+        /line 4/
+      );
+    });
+  });
+
+  describe("normalizeStructure", () => {
+    it("strips trailing slashes from folder keys", () => {
+      expect(normalizeStructure({ "src/": null, "lib/": { "a.js": null } })).toEqual({
+        src: {},
+        lib: { "a.js": null },
+      });
+    });
+
+    it("reads 'name -> target' keys as symlinks", () => {
+      const structure = normalizeStructure({ lib: { "cfg/ -> ../shared": null } });
+      expect(structure).toMatchObject({ lib: { cfg: null } });
+      expect(getSymlink(structure.lib, "cfg")).toBe("../shared");
+      expect(() => normalizeStructure({ "cfg -> x": "text" })).toThrow(/a symlink has no contents/);
+    });
+
+    it("rejects arrays and non-object roots", () => {
+      expect(() => normalizeStructure([])).toThrow(/expected an object/);
+      expect(() => normalizeStructure({ src: ["a.js"] })).toThrow(/Invalid value/);
+    });
+
+    it("skips the $errors report of skeldir tree --format json", () => {
+      const errors = [{ path: "secrets", error: "permission denied", code: "EACCES" }];
+      expect(normalizeStructure({ secrets: {}, $errors: errors })).toEqual({ secrets: {} });
+      expect(() => normalizeStructure({ src: { $errors: errors } })).toThrow(/Invalid value/);
+    });
+  });
+
+  describe("serializeStructure", () => {
+    it("writes symlinks as keys that normalizeStructure reads back", () => {
+      const structure = parseTree(["lib/", "  cfg -> ../shared", "  a.js", "README.md"]);
+      const json = JSON.parse(JSON.stringify(serializeStructure(structure)));
+      expect(json).toEqual({ lib: { "cfg -> ../shared": null, "a.js": null }, "README.md": null });
+      expect(getSymlink(normalizeStructure(json).lib, "cfg")).toBe("../shared");
+    });
+  });
+
+  describe("parseStructure", () => {
+    it("accepts the saved template JSON shape", () => {
+      const content = JSON.stringify({ src: { "index.js": null }, "a.txt": "hi" });
+      expect(parseStructure(content, "json")).toEqual({
+        src: { "index.js": null },
+        "a.txt": "hi",
+      });
+    });
+
+    it("throws on unknown formats", () => {
+      expect(() => parseStructure("", "toml")).toThrow(/Unknown input format/);
+    });
+  });
+
+  describe("loadStructureFromFile", () => {
+    let testDir;
+
+    beforeEach(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-test-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it("detects the format from the extension", () => {
+      const filePath = path.join(testDir, "layout.yaml");
+      fs.writeFileSync(filePath, "src:\n  index.js:\n");
+      expect(loadStructureFromFile(filePath)).toEqual({ src: { "index.js": null } });
+    });
+
+    it("throws when the file does not exist", () => {
+      expect(() => loadStructureFromFile(path.join(testDir, "missing.md"))).toThrow(
+        /File not found/
+      );
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import fs from "fs";
+import path from "path";
+
+// gitignore-style matching for `skeldir tree --gitignore`, following
+// https://git-scm.com/docs/gitignore: negation, anchoring, `**` and
+// directory-only patterns. Rules are kept in file order, parents first, and
+// the last rule that matches a path decides.
+
+export const IGNORE_FILES = [".gitignore", ".skeldirignore"];
+
+const REGEX_SPECIALS = /[.+^${}()|[\]\\]/g;
+const escapeRegExp = (text) => text.replace(REGEX_SPECIALS, "\\$&");
+
+// Translates a glob to a regex source where `*` and `?` stay inside one
+// path segment and `**` spans segments
+export function globToRegExpSource(glob) {
+  let out = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === "*") {
+      const isDouble = glob[i + 1] === "*";
+      const startsSegment = i === 0 || glob[i - 1] === "/";
+      const endsSegment = i + 2 === glob.length || glob[i + 2] === "/";
+      if (isDouble && startsSegment && endsSegment) {
+        if (i + 2 === glob.length) {
+          out += ".*";
+          i += 1;
+        } else {
+          out += "(?:.*/)?";
+          i += 2;
+        }
+      } else {
+        out += "[^/]*";
+        if (isDouble) i += 1;
+      }
+    } else if (ch === "?") {
+      out += "[^/]";
+    } else if (ch === "[") {
+      let j = i + 1;
+      if (glob[j] === "!" || glob[j] === "^") j++;
+      if (glob[j] === "]") j++;
+      const close = glob.indexOf("]", j);
+      if (close === -1) {
+        out += "\\[";
+      } else {
+        const body = glob.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\");
+        out += `[${body}]`;
+        i = close;
+      }
+    } else if (ch === "\\" && i + 1 < glob.length) {
+      out += escapeRegExp(glob[++i]);
+    } else {
+      out += escapeRegExp(ch);
+    }
+  }
+  return out;
+}
+
+// Matches "/"-separated relative paths. A pattern with a slash anywhere but
+// the end is anchored to the start of the path; one without matches a name
+// at any depth.
+export function globToRegExp(pattern) {
+  const glob = pattern.replace(/\/+$/, "");
+  const source = globToRegExpSource(glob.replace(/^\//, ""));
+  return new RegExp(glob.includes("/") ? `^${source}$` : `^(?:.*/)?${source}$`);
+}
+
+// Rules are matched against paths relative to `base`, the folder holding
+// the ignore file
+export function parseIgnoreRules(content, base) {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    let pattern = rawLine.replace(/(?<!\\)\s+$/, "");
+    if (!pattern || pattern.startsWith("#")) continue;
+
+    const negate = pattern.startsWith("!");
+    if (negate) pattern = pattern.slice(1);
+    const dirOnly = pattern.endsWith("/");
+    if (dirOnly) pattern = pattern.replace(/\/+$/, "");
+    if (!pattern) continue;
+
+    rules.push({ base, negate, dirOnly, regex: globToRegExp(pattern) });
+  }
+  return rules;
+}
+
+function readRules(filePath, base) {
+  try {
+    return parseIgnoreRules(fs.readFileSync(filePath, "utf8"), base);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Rules from the ignore files directly inside `dirPath`
+export function loadIgnoreRules(dirPath) {
+  return IGNORE_FILES.flatMap((file) => readRules(path.join(dirPath, file), dirPath));
+}
+
+function findRepoRoot(dirPath) {
+  let dir = dirPath;
+  while (true) {
+    if (fs.existsSync(path.join(dir, ".git"))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Rules that apply to `dirPath` from above it: .git/info/exclude and the
+// ignore files of every parent folder up to the repository root. The
+// folder's own files are picked up by loadIgnoreRules while walking.
+export function loadParentIgnoreRules(dirPath) {
+  const root = findRepoRoot(dirPath);
+  if (!root) return [];
+
+  const rules = readRules(path.join(root, ".git", "info", "exclude"), root);
+  const parents = [];
+  for (let dir = path.dirname(dirPath); ; dir = path.dirname(dir)) {
+    if (path.relative(root, dir).startsWith("..")) break;
+    parents.unshift(dir);
+    if (dir === root) break;
+  }
+  for (const dir of parents) rules.push(...loadIgnoreRules(dir));
+  return rules;
+}
+
+export function isIgnoredByRules(rules, fullPath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    const relative = path.relative(rule.base, fullPath).split(path.sep).join("/");
+    if (!relative || relative.startsWith("..")) continue;
+    if (rule.regex.test(relative)) ignored = !rule.negate;
+  }
+  return ignored;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import {
+  globToRegExpSource,
+  parseIgnoreRules,
+  loadParentIgnoreRules,
+  isIgnoredByRules,
+} from "./ignore.js";
+
+describe("ignore", () => {
+  const base = path.resolve("/repo");
+  const ignored = (content, relativePath, isDirectory = false) =>
+    isIgnoredByRules(parseIgnoreRules(content, base), path.join(base, relativePath), isDirectory);
+
+  describe("globToRegExpSource", () => {
+    const matches = (glob, p) => new RegExp(`^${globToRegExpSource(glob)}$`).test(p);
+
+    it("keeps * and ? inside one segment", () => {
+      expect(matches("*.js", "a.js")).toBe(true);
+      expect(matches("*.js", "src/a.js")).toBe(false);
+      expect(matches("file?.txt", "file1.txt")).toBe(true);
+    });
+
+    it("lets ** span segments", () => {
+      expect(matches("src/**/*.test.js", "src/a.test.js")).toBe(true);
+      expect(matches("src/**/*.test.js", "src/x/y/a.test.js")).toBe(true);
+      expect(matches("src/**", "src/x/y")).toBe(true);
+      expect(matches("**/logs", "a/b/logs")).toBe(true);
+    });
+
+    it("supports character classes and escapes", () => {
+      expect(matches("[abc].txt", "b.txt")).toBe(true);
+      expect(matches("[!abc].txt", "b.txt")).toBe(false);
+      expect(matches("\\#notes", "#notes")).toBe(true);
+    });
+  });
+
+  describe("parseIgnoreRules", () => {
+    it("matches unanchored patterns at any depth", () => {
+      expect(ignored("*.log", "a/b/debug.log")).toBe(true);
+      expect(ignored("generated", "src/generated", true)).toBe(true);
+    });
+
+    it("anchors patterns that contain a slash", () => {
+      expect(ignored("/out", "out", true)).toBe(true);
+      expect(ignored("/out", "src/out", true)).toBe(false);
+      expect(ignored("docs/build", "docs/build", true)).toBe(true);
+      expect(ignored("docs/build", "x/docs/build", true)).toBe(false);
+    });
+
+    it("applies directory-only patterns to directories", () => {
+      expect(ignored("cache/", "cache", true)).toBe(true);
+      expect(ignored("cache/", "cache", false)).toBe(false);
+    });
+
+    it("lets a later negation re-include a path", () => {
+      const content = "# logs\n*.log\n!keep.log\n";
+      expect(ignored(content, "debug.log")).toBe(true);
+      expect(ignored(content, "keep.log")).toBe(false);
+    });
+
+    it("only applies rules below their own folder", () => {
+      const rules = parseIgnoreRules("*.tmp", path.join(base, "sub"));
+      expect(isIgnoredByRules(rules, path.join(base, "a.tmp"), false)).toBe(false);
+      expect(isIgnoredByRules(rules, path.join(base, "sub", "a.tmp"), false)).toBe(true);
+    });
+  });
+
+  describe("loadParentIgnoreRules", () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-test-"));
+      fs.mkdirSync(path.join(repo, ".git", "info"), { recursive: true });
+      fs.mkdirSync(path.join(repo, "packages", "app"), { recursive: true });
+      fs.writeFileSync(path.join(repo, ".gitignore"), "*.log\n");
+      fs.writeFileSync(path.join(repo, ".git", "info", "exclude"), "secret.txt\n");
+      fs.writeFileSync(path.join(repo, "packages", ".skeldirignore"), "fixtures/\n");
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    it("collects rules from the repository root down", () => {
+      const app = path.join(repo, "packages", "app");
+      const rules = loadParentIgnoreRules(app);
+      expect(isIgnoredByRules(rules, path.join(app, "x.log"), false)).toBe(true);
+      expect(isIgnoredByRules(rules, path.join(app, "secret.txt"), false)).toBe(true);
+      expect(isIgnoredByRules(rules, path.join(app, "fixtures"), true)).toBe(true);
+      expect(isIgnoredByRules(rules, path.join(app, "index.js"), false)).toBe(false);
+    });
+  });
+});
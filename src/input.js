@@ -0,0 +1,91 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { spawnSync } from "child_process";
+
+export function isInteractive(stream = process.stdin) {
+  return Boolean(stream.isTTY);
+}
+
+export function readLinesFromFile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`File not found: ${resolvedPath}`);
+  }
+  return fs.readFileSync(resolvedPath, "utf8").split(/\r?\n/);
+}
+
+// Piped input is read to EOF so blank lines inside the tree are kept; a
+// terminal paste ends at the first empty line after some content.
+export async function readLines(input = process.stdin, { untilBlank = false } = {}) {
+  const rl = readline.createInterface({
+    input,
+    output: untilBlank ? process.stdout : undefined,
+    crlfDelay: Infinity,
+  });
+
+  const lines = [];
+  for await (const line of rl) {
+    if (untilBlank && !line.trim()) {
+      if (lines.length) break;
+      continue;
+    }
+    lines.push(line);
+  }
+  rl.close();
+  return lines;
+}
+
+export function countContentLines(lines) {
+  return lines.filter((line) => line.trim()).length;
+}
+
+export async function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+export async function askYesNo(question) {
+  const answer = (await ask(`${question} (yes/no): `)).toLowerCase();
+  return answer === "yes" || answer === "y";
+}
+
+export function getEditor() {
+  return (
+    process.env.VISUAL ||
+    process.env.EDITOR ||
+    (process.platform === "win32" ? "notepad" : "vi")
+  );
+}
+
+// Opens text in the user's editor and returns what was saved. The editor
+// command may carry its own arguments (e.g. "code --wait").
+export function editText(text, fileName) {
+  const editor = getEditor();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-edit-"));
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, text, "utf8");
+
+  try {
+    const result = spawnSync(`${editor} "${filePath}"`, { shell: true, stdio: "inherit" });
+    if (result.error) {
+      throw new Error(`Could not start editor '${editor}': ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+      throw new Error(`Editor '${editor}' exited with code ${result.status}`);
+    }
+    return fs.readFileSync(filePath, "utf8");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
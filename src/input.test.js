@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { Readable } from "stream";
+import { readLines, readLinesFromFile, countContentLines, editText } from "./input.js";
+
+describe("input", () => {
+  describe("readLines", () => {
+    it("reads piped input to the end, keeping blank lines", async () => {
+      const stream = Readable.from(["src/\n", "\n", "  index.js\n", "README.md\n"]);
+      const lines = await readLines(stream);
+      expect(lines).toEqual(["src/", "", "  index.js", "README.md"]);
+    });
+
+    it("stops at the first blank line after content when pasting", async () => {
+      const stream = Readable.from(["\n", "a.js\n", "b.js\n", "\n", "c.js\n"]);
+      const lines = await readLines(stream, { untilBlank: true });
+      expect(lines).toEqual(["a.js", "b.js"]);
+    });
+  });
+
+  describe("readLinesFromFile", () => {
+    let testDir;
+
+    beforeEach(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-test-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it("splits the file into lines", () => {
+      const filePath = path.join(testDir, "tree.txt");
+      fs.writeFileSync(filePath, "src/\r\n  index.js\r\n");
+      expect(readLinesFromFile(filePath)).toEqual(["src/", "  index.js", ""]);
+    });
+
+    it("throws when the file does not exist", () => {
+      expect(() => readLinesFromFile(path.join(testDir, "nope.txt"))).toThrow(
+        /File not found/
+      );
+    });
+  });
+
+  describe("countContentLines", () => {
+    it("ignores blank lines", () => {
+      expect(countContentLines(["a", "", "  ", "b"])).toBe(2);
+    });
+  });
+
+  describe("editText", () => {
+    let originalEditor;
+
+    beforeEach(() => {
+      originalEditor = process.env.VISUAL;
+    });
+
+    afterEach(() => {
+      if (originalEditor === undefined) delete process.env.VISUAL;
+      else process.env.VISUAL = originalEditor;
+    });
+
+    it.skipIf(process.platform === "win32")("returns what the editor saved", () => {
+      process.env.VISUAL = "sed -i s/old/new/";
+      expect(editText("old.txt\n", "t.tree")).toBe("new.txt\n");
+    });
+
+    it.skipIf(process.platform === "win32")("fails when the editor fails", () => {
+      process.env.VISUAL = "false";
+      expect(() => editText("a\n", "t.tree")).toThrow(/exited with code 1/);
+    });
+  });
+});
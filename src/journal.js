@@ -0,0 +1,43 @@
+import fs from "fs";
+
+// Every path a run creates or overwrites is recorded here, so a failure
+// midway can put the disk back the way it was.
+export function createJournal() {
+  return { entries: [] };
+}
+
+export function recordCreated(journal, targetPath) {
+  if (journal) journal.entries.push({ path: targetPath });
+}
+
+export function recordOverwrite(journal, targetPath) {
+  if (!journal) return;
+  if (fs.lstatSync(targetPath).isSymbolicLink()) {
+    journal.entries.push({ path: targetPath, link: fs.readlinkSync(targetPath) });
+  } else {
+    journal.entries.push({ path: targetPath, backup: fs.readFileSync(targetPath) });
+  }
+}
+
+export function rollback(journal) {
+  const failures = [];
+  const entries = journal.entries.splice(0).reverse();
+
+  for (const entry of entries) {
+    try {
+      if (entry.backup !== undefined) {
+        fs.rmSync(entry.path, { recursive: true, force: true });
+        fs.writeFileSync(entry.path, entry.backup);
+      } else if (entry.link !== undefined) {
+        fs.rmSync(entry.path, { recursive: true, force: true });
+        fs.symlinkSync(entry.link, entry.path);
+      } else {
+        fs.rmSync(entry.path, { recursive: true, force: true });
+      }
+    } catch (error) {
+      failures.push({ path: entry.path, message: error.message });
+    }
+  }
+
+  return { undone: entries.length - failures.length, failures };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { createJournal, recordCreated, recordOverwrite, rollback } from "./journal.js";
+import { createCustomWithContent } from "./creator.js";
+
+describe("journal", () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it("removes created paths and restores overwritten files", () => {
+    const journal = createJournal();
+    const created = path.join(testDir, "new.txt");
+    const existing = path.join(testDir, "old.txt");
+    fs.writeFileSync(existing, "original");
+
+    fs.writeFileSync(created, "x");
+    recordCreated(journal, created);
+    recordOverwrite(journal, existing);
+    fs.writeFileSync(existing, "changed");
+
+    const result = rollback(journal);
+    expect(result).toEqual({ undone: 2, failures: [] });
+    expect(fs.existsSync(created)).toBe(false);
+    expect(fs.readFileSync(existing, "utf8")).toBe("original");
+  });
+
+  it("undoes a half-built structure when creation fails", () => {
+    const journal = createJournal();
+    fs.writeFileSync(path.join(testDir, "keep.txt"), "mine");
+    const structure = {
+      src: { "a.js": null, lib: { "b.js": null } },
+      "keep.txt": "theirs",
+      "bad\0name.txt": null,
+    };
+
+    expect(() =>
+      createCustomWithContent(testDir, structure, false, false, {
+        conflict: "overwrite",
+        journal,
+      })
+    ).toThrow();
+
+    rollback(journal);
+    expect(fs.readdirSync(testDir)).toEqual(["keep.txt"]);
+    expect(fs.readFileSync(path.join(testDir, "keep.txt"), "utf8")).toBe("mine");
+  });
+
+  it("restores a file that was replaced by a folder", () => {
+    const journal = createJournal();
+    fs.writeFileSync(path.join(testDir, "docs"), "a file");
+
+    createCustomWithContent(testDir, { docs: { "x.md": null } }, false, false, {
+      conflict: "overwrite",
+      journal,
+    });
+    expect(fs.statSync(path.join(testDir, "docs")).isDirectory()).toBe(true);
+
+    rollback(journal);
+    expect(fs.readFileSync(path.join(testDir, "docs"), "utf8")).toBe("a file");
+  });
+});
@@ -0,0 +1,230 @@
+import path from "path";
+import {
+  splitTreeLine,
+  splitAnnotation,
+  splitSymlink,
+  looksLikeFolder,
+  isCommonFolderName,
+} from "./parser.js";
+import {
+  detectFormat,
+  markdownToTreeLines,
+  parseYamlStructure,
+  normalizeStructure,
+  isTemplateRecord,
+  ERRORS_KEY,
+} from "./formats.js";
+import { sanitizeName } from "./utils.js";
+
+// Finds what parseTree would quietly drop, merge or mangle, so a pasted
+// tree can be fixed before anything is created. Issues are
+// { severity: "error" | "warning", line, message }; errors mean entries
+// would be lost, warnings mean they'd be created differently than written
+// or not portably.
+
+const ILLEGAL_CHARS = /[\\/:*?"<>|\r\n]/g;
+const WINDOWS_RESERVED = /^(?:con|prn|aux|nul|com[1-9]|lpt[1-9])(?:\..*)?$/i;
+export const MAX_NAME_BYTES = 255;
+export const MAX_PATH_LENGTH = 260;
+
+const error = (message) => ({ severity: "error", message });
+const warning = (message) => ({ severity: "warning", message });
+
+function checkName(rawName, entryPath, parentPath, basePath) {
+  const name = sanitizeName(rawName);
+  if (!name) {
+    return [error(`'${rawName}' has no usable characters and will be skipped`)];
+  }
+
+  const issues = [];
+  const stripped = [...new Set(rawName.match(ILLEGAL_CHARS) || [])];
+  if (stripped.length) {
+    issues.push(
+      warning(
+        `'${rawName}' contains ${stripped.map((c) => `'${c}'`).join(", ")}, which can't be used in names; it will be created as '${name}'`
+      )
+    );
+  }
+  if (WINDOWS_RESERVED.test(name)) {
+    issues.push(warning(`'${name}' is a reserved name on Windows`));
+  }
+  if (name.endsWith(".")) {
+    issues.push(warning(`'${name}' ends with a dot, which Windows drops`));
+  }
+  if (Buffer.byteLength(name) > MAX_NAME_BYTES) {
+    issues.push(error(`'${name.slice(0, 40)}...' is longer than ${MAX_NAME_BYTES} bytes`));
+  }
+
+  // Only the first entry past the limit is reported, not all its children
+  const full = (p) => (basePath ? path.join(basePath, p) : p);
+  if (full(entryPath).length > MAX_PATH_LENGTH && full(parentPath).length <= MAX_PATH_LENGTH) {
+    issues.push(
+      warning(
+        `'${entryPath}' makes a path of ${full(entryPath).length} characters; Windows limits paths to ${MAX_PATH_LENGTH}`
+      )
+    );
+  }
+  return issues;
+}
+
+// Follows parseTree's nesting rules, including turning entries with
+// children (and, with guessFolders, folder-like leaves) into folders
+export function lintTree(inputLines, options = {}) {
+  const { basePath, guessFolders = false } = options;
+  const issues = [];
+  const entries = [];
+  const stack = [{ indent: -1, isFolder: true, path: "", seen: new Map(), childIndent: null }];
+
+  for (let i = 0; i < inputLines.length; i++) {
+    const line = inputLines[i];
+    if (!line.trim()) continue;
+
+    const { indent, text } = splitTreeLine(line);
+    const { name: annotated } = splitAnnotation(text);
+    const { name: clean, target } = splitSymlink(annotated);
+    if (!clean) continue;
+    const isFolder = !target && clean.endsWith("/");
+    const rawName = isFolder ? clean.slice(0, -1) : clean;
+    const name = sanitizeName(rawName);
+
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+      stack.pop();
+    }
+
+    const parent = stack[stack.length - 1];
+    const lineNumber = i + 1;
+    if (parent.isLink) {
+      // parseTree drops these; say so once per symlink
+      if (!parent.reported) {
+        parent.reported = true;
+        issues.push({
+          ...warning(
+            `'${parent.name}' is a symlink, so the entries indented under it are not created`
+          ),
+          line: parent.line,
+        });
+      }
+      continue;
+    }
+
+    const entryPath = parent.path ? `${parent.path}/${name}` : name;
+    for (const found of checkName(rawName, entryPath, parent.path, basePath)) {
+      issues.push({ ...found, line: lineNumber });
+    }
+    if (!name) continue;
+
+    if (!parent.isFolder) {
+      // parseTree turns it into a folder; only surprising for file-like names
+      parent.isFolder = true;
+      if (!looksLikeFolder(parent.name)) {
+        issues.push({
+          ...warning(
+            `'${parent.name}' has entries indented under it, so it will be created as a folder`
+          ),
+          line: parent.line,
+        });
+      }
+    }
+
+    if (parent.childIndent === null) {
+      parent.childIndent = indent;
+    } else if (indent !== parent.childIndent) {
+      issues.push({
+        ...warning(
+          `Inconsistent indentation: '${name}' starts at column ${indent + 1}, the entries before it at column ${parent.childIndent + 1}`
+        ),
+        line: lineNumber,
+      });
+    }
+
+    if (parent.seen.has(name)) {
+      issues.push({
+        ...error(
+          `Duplicate entry '${name}' (also on line ${parent.seen.get(name)}); only the last one is kept`
+        ),
+        line: lineNumber,
+      });
+    } else {
+      parent.seen.set(name, lineNumber);
+    }
+
+    const entry = {
+      indent,
+      name,
+      line: lineNumber,
+      isFolder,
+      isLink: Boolean(target),
+      path: entryPath,
+      seen: new Map(),
+      childIndent: null,
+    };
+    entries.push(entry);
+    stack.push(entry);
+  }
+
+  if (guessFolders) {
+    for (const entry of entries) {
+      // "src" or "tests" without a slash is unremarkable; "handlers" less so
+      const isLeaf = !entry.isFolder && !entry.isLink;
+      if (isLeaf && !isCommonFolderName(entry.name) && looksLikeFolder(entry.name)) {
+        issues.push({
+          ...warning(
+            `'${entry.name}' has no extension, so it will be created as a folder (end it with / to be explicit, or leave out --guess-folders to keep it a file)`
+          ),
+          line: entry.line,
+        });
+      }
+    }
+  }
+
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+// Same name checks for JSON and YAML input, which has no line numbers
+export function lintStructure(structure, options = {}, parentPath = "") {
+  const issues = [];
+  for (const rawKey of Object.keys(structure)) {
+    if (!parentPath && rawKey === ERRORS_KEY) continue;
+    const { name: clean, target } = splitSymlink(rawKey);
+    const rawName = !target && clean.endsWith("/") ? clean.slice(0, -1) : clean;
+    const name = sanitizeName(rawName);
+    const entryPath = parentPath ? `${parentPath}/${name}` : name;
+    for (const found of checkName(rawName, entryPath, parentPath, options.basePath)) {
+      issues.push({ ...found, line: null });
+    }
+
+    const value = structure[rawKey];
+    if (name && !target && value && typeof value === "object" && !Array.isArray(value)) {
+      issues.push(...lintStructure(value, options, entryPath));
+    }
+  }
+  return issues;
+}
+
+// Lints structure input in any of the formats --from accepts
+export function lintContent(content, format, options = {}) {
+  const inputFormat = format || detectFormat(options.filePath, content);
+
+  switch (inputFormat) {
+    case "markdown":
+      return lintTree(markdownToTreeLines(content), options);
+    case "json":
+    case "yaml": {
+      let data;
+      try {
+        data = inputFormat === "json" ? JSON.parse(content) : parseYamlStructure(content);
+        if (isTemplateRecord(data)) data = data.structure;
+        normalizeStructure(data);
+      } catch (parseError) {
+        return [{ ...error(parseError.message), line: null }];
+      }
+      return lintStructure(data, options);
+    }
+    default:
+      return lintTree(content.split(/\r?\n/), options);
+  }
+}
+
+export function hasErrors(issues) {
+  return issues.some((issue) => issue.severity === "error");
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import { lintTree, lintContent, hasErrors } from "./lint.js";
+
+describe("lint", () => {
+  const messages = (issues) => issues.map((i) => `${i.line}:${i.severity}:${i.message}`);
+
+  describe("lintTree", () => {
+    it("accepts a well-formed tree", () => {
+      expect(lintTree(["app/", "├── src/", "│   └── index.js", "└── README.md"])).toEqual([]);
+    });
+
+    it("reports file-like entries that become folders", () => {
+      const lines = ["src/", "  index.js", "    helpers.js", "  handlers", "  lib"];
+      expect(messages(lintTree(lines, { guessFolders: true }))).toEqual([
+        "2:warning:'index.js' has entries indented under it, so it will be created as a folder",
+        "4:warning:'handlers' has no extension, so it will be created as a folder (end it with / to be explicit, or leave out --guess-folders to keep it a file)",
+      ]);
+      expect(messages(lintTree(lines))).toEqual([
+        "2:warning:'index.js' has entries indented under it, so it will be created as a folder",
+      ]);
+    });
+
+    it("reports duplicate names in the same folder only", () => {
+      const issues = lintTree(["src/", "  a.js", "  a.js # again", "lib/", "  a.js"]);
+      expect(messages(issues)).toEqual([
+        "3:error:Duplicate entry 'a.js' (also on line 2); only the last one is kept",
+      ]);
+    });
+
+    it("reports names that sanitize to something else, or to nothing", () => {
+      const issues = lintTree(["a:b.js", "???"]);
+      expect(messages(issues)).toEqual([
+        "1:warning:'a:b.js' contains ':', which can't be used in names; it will be created as 'ab.js'",
+        "2:error:'???' has no usable characters and will be skipped",
+      ]);
+    });
+
+    it("reports names Windows can't create", () => {
+      const issues = lintTree(["nul.txt", "Com1", "notes.", "console.log"], {
+        guessFolders: false,
+      });
+      expect(messages(issues)).toEqual([
+        "1:warning:'nul.txt' is a reserved name on Windows",
+        "2:warning:'Com1' is a reserved name on Windows",
+        "3:warning:'notes.' ends with a dot, which Windows drops",
+      ]);
+    });
+
+    it("reports long names and the first entry past the path limit", () => {
+      const longFolder = "d".repeat(200);
+      const issues = lintTree(
+        [`${longFolder}/`, `  ${"e".repeat(100)}/`, "    f.txt", "x".repeat(256)],
+        { guessFolders: false }
+      );
+      expect(messages(issues)).toEqual([
+        `2:warning:'${longFolder}/${"e".repeat(100)}' makes a path of 301 characters; Windows limits paths to 260`,
+        `4:error:'${"x".repeat(40)}...' is longer than 255 bytes`,
+      ]);
+    });
+
+    it("reports entries listed under a symlink", () => {
+      const issues = lintTree([
+        "app/",
+        "  config -> ../shared",
+        "    a.json",
+        "    b.json",
+        "  handlers -> x",
+      ]);
+      expect(messages(issues)).toEqual([
+        "2:warning:'config' is a symlink, so the entries indented under it are not created",
+      ]);
+    });
+
+    it("reports siblings at different indentation", () => {
+      const issues = lintTree(["src/", "    a.js", "  b.js"]);
+      expect(messages(issues)).toEqual([
+        "3:warning:Inconsistent indentation: 'b.js' starts at column 3, the entries before it at column 5",
+      ]);
+    });
+  });
+
+  describe("lintContent", () => {
+    it("keeps Markdown line numbers", () => {
+      const content = "# Layout\n\n- src/\n  - a.js\n  - a.js\n";
+      expect(messages(lintContent(content, "markdown"))).toEqual([
+        "5:error:Duplicate entry 'a.js' (also on line 4); only the last one is kept",
+      ]);
+    });
+
+    it("checks names in JSON and reports parse errors", () => {
+      expect(messages(lintContent('{"src/": {"a|b.js": null}}', "json"))).toEqual([
+        "null:warning:'a|b.js' contains '|', which can't be used in names; it will be created as 'ab.js'",
+      ]);
+      expect(hasErrors(lintContent("{nope", "json"))).toBe(true);
+    });
+
+    it("reads symlinks and skips the error report in JSON", () => {
+      const content = '{"a -> ../b": null, "$errors": [{"path": "x"}], "c.js": null}';
+      expect(lintContent(content, "json")).toEqual([]);
+    });
+  });
+});
@@ -1,44 +1,187 @@
 import { sanitizeName } from "./utils.js";
 
-export function parseTree(inputLines) {
-  let root = {};
-  const stack = [{ depth: -1, node: root }];
+// Leading tree decoration: Unicode box drawing (├── │), classic `tree`
+// ASCII output (|-- `--), Windows `tree /A` (+--- \---) and plain whitespace.
+const TREE_PREFIX = /^(?:[├└┣┗|`+\\][─━-]+|[│┃|]|[ \t\u00a0])*/;
+const TAB_WIDTH = 4;
+
+// Depth is taken from the column where the name starts, so every dialect
+// (and any indentation width) nests the same way.
+export function splitTreeLine(line) {
+  const expanded = line.replace(/\t/g, " ".repeat(TAB_WIDTH));
+  const prefix = expanded.match(TREE_PREFIX)[0];
+  return {
+    indent: prefix.length,
+    text: expanded.slice(prefix.length).trim(),
+  };
+}
+
+// Inline notes AI tools append to entries: "main.py  # entry point",
+// "utils/ <- helpers", "api/ -- routes", "src/ (source code)".
+const COMMENT_MARKERS = [
+  /\s+#(?:\s|$)/,
+  /\s+\/\/(?:\s|$)/,
+  /\s*(?:<-+|←)/,
+  /\s+(?:--|—|–)(?:\s|$)/,
+];
+const TRAILING_NOTE = /^(.*?\S)\s+\(([^()]*[^()\d\s][^()]*)\)$/;
+// Status notes `tree` and `skeldir tree` append: "secrets/ [permission denied]"
+const TRAILING_STATUS = /^(.*?\S)\s+\[([^[\]]*[^[\]\d\s][^[\]]*)\]$/;
+
+// Comments are kept off the names, on a symbol key of the parent folder, so
+// they never show up in Object.keys() or saved template JSON.
+export const ANNOTATIONS = Symbol("skeldir.annotations");
+
+export function splitAnnotation(text) {
+  let cut = -1;
+  let commentStart = -1;
+  for (const marker of COMMENT_MARKERS) {
+    const match = marker.exec(text);
+    if (match && match.index > 0 && (cut === -1 || match.index < cut)) {
+      cut = match.index;
+      commentStart = match.index + match[0].length;
+    }
+  }
+
+  let name = cut === -1 ? text : text.slice(0, cut).trim();
+  const notes = [];
+  const paren = name.match(TRAILING_NOTE);
+  if (paren) {
+    name = paren[1];
+    notes.push(paren[2].trim());
+  }
+  const status = name.match(TRAILING_STATUS);
+  if (status) {
+    name = status[1];
+    notes.unshift(status[2].trim());
+  }
+  if (cut !== -1) notes.push(text.slice(commentStart).trim());
+
+  const comment = notes.filter(Boolean).join("; ");
+  return { name, comment: comment || null };
+}
+
+export function getAnnotation(folder, key) {
+  const annotations = folder && folder[ANNOTATIONS];
+  return (annotations && annotations[key]) || null;
+}
+
+export function setAnnotation(folder, key, comment) {
+  if (!folder[ANNOTATIONS]) folder[ANNOTATIONS] = {};
+  folder[ANNOTATIONS][key] = comment;
+}
+
+// "config -> ../shared/config", the way `tree` and `ls -l` print symlinks.
+// A trailing "[...]" note (`tree`'s "[recursive, not followed]") is not part
+// of the target.
+const SYMLINK = /^(.+?)\s+->\s+(.+?)(?:\s+\[[^\]]*\])?$/;
+
+export function splitSymlink(text) {
+  const match = text.match(SYMLINK);
+  if (!match) return { name: text, target: null };
+  return { name: match[1].replace(/\/+$/, ""), target: match[2] };
+}
+
+// Link targets are kept like comments: on a symbol key of the parent
+// folder, with the entry itself a null (file) value
+export const SYMLINKS = Symbol("skeldir.symlinks");
+
+export function getSymlink(folder, key) {
+  const symlinks = folder && folder[SYMLINKS];
+  return (symlinks && symlinks[key]) || null;
+}
+
+export function setSymlink(folder, key, target) {
+  if (!folder[SYMLINKS]) folder[SYMLINKS] = {};
+  folder[SYMLINKS][key] = target;
+}
+
+// Names that are folders in practically every project layout
+const FOLDER_NAMES = new Set([
+  "src", "lib", "app", "bin", "cmd", "pkg", "internal", "core", "api",
+  "test", "tests", "__tests__", "spec", "e2e", "fixtures", "mocks",
+  "docs", "doc", "examples", "scripts", "tools", "config", "configs",
+  "public", "static", "assets", "images", "img", "icons", "fonts",
+  "css", "styles", "components", "pages", "views", "layouts", "routes",
+  "controllers", "models", "services", "middleware", "utils", "helpers",
+  "hooks", "store", "types", "include", "vendor", "resources",
+  "migrations", "templates", "build", "dist", "out",
+]);
+
+// Extensionless names that are files: Makefile, Dockerfile, LICENSE, ...
+const EXTENSIONLESS_FILE = /^(?:.*file|license|licence|readme|changelog|authors|contributors|notice|copying|todo|codeowners|version)$/i;
+
+export function isCommonFolderName(name) {
+  return FOLDER_NAMES.has(name.toLowerCase());
+}
 
-  function getDepth(line) {
-    const branchIndex = line.search(/├── |└── /);
-    if (branchIndex === -1) return 0;
-    return Math.floor(branchIndex / 4) + 1;
+// For entries written without a trailing "/" and without children
+export function looksLikeFolder(name) {
+  if (isCommonFolderName(name)) return true;
+  if (name.includes(".") || EXTENSIONLESS_FILE.test(name)) return false;
+  // ALL-CAPS names (LICENSE, NOTICE, ...) are files by convention
+  return !/^[A-Z0-9_-]+$/.test(name);
+}
+
+function guessLeafFolders(folder) {
+  for (const key in folder) {
+    if (folder[key] === null && !getSymlink(folder, key) && looksLikeFolder(key)) {
+      folder[key] = {};
+    } else if (folder[key] && typeof folder[key] === "object") {
+      guessLeafFolders(folder[key]);
+    }
   }
+}
+
+// An entry with entries indented under it is a folder, trailing "/" or not.
+// With `guessFolders` leaf entries that look like folders, such as "utils"
+// or "tests", become folders too. "name -> target" entries
+// are symlinks; anything indented under one is its target's contents (as
+// `tree -l` prints it) and is left out. A single top-level folder is
+// taken to be the project root and unwrapped, unless `unwrapRoot` is false.
+export function parseTree(inputLines, options = {}) {
+  const { guessFolders = false, unwrapRoot = true } = options;
+  let root = {};
+  const stack = [{ indent: -1, node: root }];
 
   for (let i = 0; i < inputLines.length; i++) {
     const line = inputLines[i];
     if (!line.trim()) continue;
 
-    const depth = getDepth(line);
-    const clean = line.replace(/^[│ ├└─]+/, "").trim();
+    const { indent, text } = splitTreeLine(line);
+    const { name: annotated, comment } = splitAnnotation(text);
+    const { name: clean, target } = splitSymlink(annotated);
     if (!clean) continue;
-    const isFolder = clean.endsWith("/");
+    const isFolder = !target && clean.endsWith("/");
     let name = isFolder ? clean.slice(0, -1) : clean;
     name = sanitizeName(name);
     if (!name) continue;
     const node = isFolder ? {} : null;
 
-    while (stack.length && depth <= stack[stack.length - 1].depth) {
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
       stack.pop();
     }
 
-    const parent = stack[stack.length - 1].node;
+    const top = stack[stack.length - 1];
+    if (top.node === null) {
+      top.node = {};
+      top.parent[top.name] = top.node;
+    }
+    const parent = top.node;
     parent[name] = node;
+    if (comment) setAnnotation(parent, name, comment);
+    if (target || getSymlink(parent, name)) setSymlink(parent, name, target);
 
-    if (isFolder) {
-      stack.push({ depth, node });
-    }
+    // A detached folder collects (and drops) what's listed under a symlink
+    stack.push(target ? { indent, node: {} } : { indent, node, parent, name });
   }
 
+  if (guessFolders) guessLeafFolders(root);
+
   // Auto-detect and unwrap single root folder
   // If there's only one top-level item and it's a folder, use its contents
   const keys = Object.keys(root);
-  if (keys.length === 1) {
+  if (unwrapRoot && keys.length === 1) {
     const singleKey = keys[0];
     const singleValue = root[singleKey];
     // If it's a folder (object) and not a file (null), unwrap it
@@ -78,6 +221,10 @@ export function indexStructure(structure) {
     } else {
       indexed[newKey] = value;
     }
+    const comment = getAnnotation(structure, key);
+    if (comment) setAnnotation(indexed, newKey, comment);
+    const target = getSymlink(structure, key);
+    if (target) setSymlink(indexed, newKey, target);
     count++;
   }
   return indexed;
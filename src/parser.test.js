@@ -1,5 +1,13 @@
 import { describe, it, expect } from "vitest";
-import { parseTree, indexStructure } from "./parser.js";
+import {
+  parseTree,
+  indexStructure,
+  splitAnnotation,
+  getAnnotation,
+  looksLikeFolder,
+  splitSymlink,
+  getSymlink,
+} from "./parser.js";
 
 describe("parser", () => {
   describe("parseTree", () => {
@@ -64,6 +72,11 @@ describe("parser", () => {
       expect(result).not.toHaveProperty("my-project");
     });
 
+    it("can keep a single top-level folder", () => {
+      const result = parseTree(["└── src/", "    └── index.js"], { unwrapRoot: false });
+      expect(result).toEqual({ src: { "index.js": null } });
+    });
+
     it("preserves multiple top-level items", () => {
       const input = [
         "├── src/",
@@ -77,6 +90,167 @@ describe("parser", () => {
       expect(result).toHaveProperty("tests");
       expect(result).toHaveProperty("package.json");
     });
+    it("parses classic tree ASCII output", () => {
+      const input = [
+        "my-project/",
+        "|-- src/",
+        "|   |-- index.js",
+        "|   `-- utils.js",
+        "`-- package.json",
+      ];
+      const result = parseTree(input);
+      expect(result.src).toHaveProperty("index.js", null);
+      expect(result.src).toHaveProperty("utils.js", null);
+      expect(result).toHaveProperty("package.json", null);
+    });
+
+    it("parses Windows tree /A output", () => {
+      const input = ["+---src/", "|   \\---lib/", "|           main.c", "\\---docs/"];
+      const result = parseTree(input);
+      expect(result.src.lib).toHaveProperty("main.c", null);
+      expect(result.docs).toEqual({});
+    });
+
+    it("parses 2-space indented trees", () => {
+      const input = [
+        "src/",
+        "  components/",
+        "    Button.jsx",
+        "  index.js",
+        "package.json",
+      ];
+      const result = parseTree(input);
+      expect(result.src.components).toHaveProperty("Button.jsx", null);
+      expect(result.src).toHaveProperty("index.js", null);
+      expect(result).toHaveProperty("package.json", null);
+    });
+
+    it("parses tab indented trees", () => {
+      const input = ["src/", "\tlib/", "\t\tcore.py", "\tmain.py", "README.md"];
+      const result = parseTree(input);
+      expect(result.src.lib).toHaveProperty("core.py", null);
+      expect(result.src).toHaveProperty("main.py", null);
+      expect(result).toHaveProperty("README.md", null);
+    });
+
+    it("keeps names that start with a dash", () => {
+      const input = ["|-- -config.txt", "`-- other.txt"];
+      const result = parseTree(input);
+      expect(result).toHaveProperty("-config.txt", null);
+    });
+  });
+
+  describe("splitAnnotation", () => {
+    it("splits trailing comments off names", () => {
+      expect(splitAnnotation("main.py   # entry point")).toEqual({
+        name: "main.py",
+        comment: "entry point",
+      });
+      expect(splitAnnotation("index.ts // bootstrap").name).toBe("index.ts");
+      expect(splitAnnotation("utils/  <- helpers")).toEqual({
+        name: "utils/",
+        comment: "helpers",
+      });
+      expect(splitAnnotation("api/ -- routes").name).toBe("api/");
+      expect(splitAnnotation("docs/ — documentation").name).toBe("docs/");
+    });
+
+    it("splits parenthesised notes", () => {
+      expect(splitAnnotation("src/ (source code)")).toEqual({
+        name: "src/",
+        comment: "source code",
+      });
+    });
+
+    it("splits bracketed status notes", () => {
+      expect(splitAnnotation("secrets/ [permission denied]  (4.0 KB)")).toEqual({
+        name: "secrets/",
+        comment: "permission denied; 4.0 KB",
+      });
+      expect(splitAnnotation("photo [2].jpg").name).toBe("photo [2].jpg");
+      expect(splitAnnotation("draft [1]").name).toBe("draft [1]");
+    });
+
+    it("keeps names that only look like comments", () => {
+      expect(splitAnnotation("file (1).txt").name).toBe("file (1).txt");
+      expect(splitAnnotation("Copy (2)").name).toBe("Copy (2)");
+      expect(splitAnnotation("C#notes.md").name).toBe("C#notes.md");
+      expect(splitAnnotation("plain.js")).toEqual({ name: "plain.js", comment: null });
+    });
+  });
+
+  describe("parseTree annotations", () => {
+    it("keeps comments out of names", () => {
+      const input = [
+        "├── src/          # source",
+        "│   └── main.py   # entry point",
+        "└── utils/  <- helpers",
+      ];
+      const result = parseTree(input);
+      expect(Object.keys(result)).toEqual(["src", "utils"]);
+      expect(result.src).toHaveProperty("main.py", null);
+      expect(result.utils).toEqual({});
+    });
+
+    it("stores comments as metadata on the parent folder", () => {
+      const input = ["├── src/  # source", "│   └── main.py  # entry point", "└── a.txt"];
+      const result = parseTree(input);
+      expect(getAnnotation(result, "src")).toBe("source");
+      expect(getAnnotation(result.src, "main.py")).toBe("entry point");
+      expect(getAnnotation(result, "a.txt")).toBeNull();
+      expect(JSON.parse(JSON.stringify(result))).toEqual({
+        src: { "main.py": null },
+        "a.txt": null,
+      });
+    });
+
+    it("carries comments through indexStructure", () => {
+      const result = indexStructure(parseTree(["├── a.js  # first", "└── b.js"]));
+      expect(getAnnotation(result, "1 - a.js")).toBe("first");
+    });
+  });
+
+  describe("symlinks", () => {
+    it("splits link targets off names", () => {
+      expect(splitSymlink("config -> ../shared/config")).toEqual({
+        name: "config",
+        target: "../shared/config",
+      });
+      expect(splitSymlink("up/ -> ..  [recursive, not followed]")).toEqual({
+        name: "up",
+        target: "..",
+      });
+      expect(splitSymlink("a-b.js")).toEqual({ name: "a-b.js", target: null });
+    });
+
+    it("stores targets as metadata and drops the entries listed under a link", () => {
+      const result = parseTree([
+        "├── shared",
+        "│   └── eslint.json",
+        "└── app/",
+        "    ├── config -> ../shared  # shared config",
+        "    │   └── eslint.json",
+        "    └── handlers -> ../lib/handlers",
+      ]);
+      expect(JSON.parse(JSON.stringify(result))).toEqual({
+        shared: { "eslint.json": null },
+        app: { config: null, handlers: null },
+      });
+      expect(getSymlink(result.app, "config")).toBe("../shared");
+      expect(getSymlink(result.app, "handlers")).toBe("../lib/handlers");
+      expect(getAnnotation(result.app, "config")).toBe("shared config");
+      expect(getSymlink(result, "shared")).toBeNull();
+    });
+
+    it("forgets the target when a later entry replaces the link", () => {
+      const result = parseTree(["a.js -> b.js", "a.js"]);
+      expect(getSymlink(result, "a.js")).toBeNull();
+    });
+
+    it("carries targets through indexStructure", () => {
+      const result = indexStructure(parseTree(["├── a -> b", "└── b.js"]));
+      expect(getSymlink(result, "1 - a")).toBe("b");
+    });
   });
 
   describe("indexStructure", () => {
@@ -128,4 +302,53 @@ describe("parser", () => {
       expect(result["3 - c.txt"]).toBeNull();
     });
   });
+
+  describe("folder inference", () => {
+    it("turns entries with children into folders", () => {
+      const result = parseTree(["src", "  components", "    Button.jsx", "  index.js", "README.md"]);
+      expect(result).toEqual({
+        src: { components: { "Button.jsx": null }, "index.js": null },
+        "README.md": null,
+      });
+    });
+
+    it("keeps annotations on inferred folders", () => {
+      const result = parseTree(["api  # routes", "  users.js", "package.json"]);
+      expect(getAnnotation(result, "api")).toBe("routes");
+      expect(result.api).toEqual({ "users.js": null });
+    });
+
+    it("guesses folders for leaf names without an extension when asked to", () => {
+      const lines = ["tests", "handlers", "Makefile", "Dockerfile", "LICENSE", ".env"];
+      const result = parseTree(lines, { guessFolders: true });
+      expect(result).toEqual({
+        tests: {},
+        handlers: {},
+        Makefile: null,
+        Dockerfile: null,
+        LICENSE: null,
+        ".env": null,
+      });
+    });
+
+    it("leaves leaf entries as files by default", () => {
+      const result = parseTree(["tests", "gradlew", "bin", "  setup", "src", "  a.js"]);
+      expect(result).toEqual({
+        tests: null,
+        gradlew: null,
+        bin: { setup: null },
+        src: { "a.js": null },
+      });
+    });
+  });
+
+  describe("looksLikeFolder", () => {
+    it("knows common folder and extensionless file names", () => {
+      expect(looksLikeFolder("src")).toBe(true);
+      expect(looksLikeFolder("Utils")).toBe(true);
+      expect(looksLikeFolder("Procfile")).toBe(false);
+      expect(looksLikeFolder("CODEOWNERS")).toBe(false);
+      expect(looksLikeFolder("main.go")).toBe(false);
+    });
+  });
 });
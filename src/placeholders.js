@@ -0,0 +1,134 @@
+import path from "path";
+
+// Comment delimiters per style: [open, close]
+const COMMENT_STYLES = {
+  slash: ["//", ""],
+  hash: ["#", ""],
+  block: ["/*", " */"],
+  html: ["<!--", " -->"],
+  dash: ["--", ""],
+  semicolon: [";", ""],
+  percent: ["%", ""],
+  rem: ["REM", ""],
+  quote: ['"', ""],
+};
+
+const EXTENSION_STYLES = {
+  slash: [
+    ".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts",
+    ".java", ".kt", ".kts", ".scala", ".groovy", ".gradle",
+    ".c", ".h", ".cpp", ".cc", ".cxx", ".hpp", ".hh", ".cs", ".m", ".mm",
+    ".go", ".rs", ".swift", ".dart", ".zig", ".proto", ".jsonc",
+    ".scss", ".sass", ".less",
+  ],
+  hash: [
+    ".py", ".pyi", ".rb", ".pl", ".r", ".jl", ".ex", ".exs", ".nim", ".cr",
+    ".yml", ".yaml", ".toml", ".cfg", ".conf", ".properties", ".env",
+    ".mk", ".cmake", ".tf", ".ps1", ".fish", ".dockerfile",
+  ],
+  block: [".css"],
+  html: [".html", ".htm", ".xml", ".svg", ".vue", ".svelte", ".xhtml"],
+  dash: [".sql", ".lua", ".hs", ".elm", ".ada"],
+  semicolon: [".ini", ".clj", ".cljs", ".edn", ".lisp", ".el", ".asm"],
+  percent: [".tex", ".erl", ".m4"],
+  rem: [".bat", ".cmd"],
+  quote: [".vim"],
+};
+
+// Files that are always written empty: binaries, lockfiles and keep-files
+const EMPTY_EXTENSIONS = new Set([
+  ".png", ".jpg", ".jpeg", ".gif", ".webp", ".ico", ".bmp", ".tiff", ".psd",
+  ".pdf", ".zip", ".gz", ".tgz", ".tar", ".rar", ".7z", ".jar", ".war",
+  ".woff", ".woff2", ".ttf", ".otf", ".eot", ".mp3", ".mp4", ".wav", ".ogg",
+  ".mov", ".avi", ".exe", ".dll", ".so", ".dylib", ".bin", ".class", ".o",
+  ".a", ".wasm", ".sqlite", ".db", ".lock",
+]);
+const EMPTY_FILES = new Set([
+  "package-lock.json", "npm-shrinkwrap.json", "pnpm-lock.yaml", "yarn.lock",
+  "bun.lockb", "composer.lock", "Gemfile.lock", "Cargo.lock", "poetry.lock",
+  "Pipfile.lock", "go.sum", ".gitkeep", ".keep",
+]);
+
+const FILENAME_STYLES = {
+  Dockerfile: "hash",
+  Makefile: "hash",
+  makefile: "hash",
+  GNUmakefile: "hash",
+  Gemfile: "hash",
+  Rakefile: "hash",
+  Procfile: "hash",
+  Vagrantfile: "hash",
+  Jenkinsfile: "slash",
+  ".gitignore": "hash",
+  ".dockerignore": "hash",
+  ".npmignore": "hash",
+  ".gitattributes": "hash",
+  ".editorconfig": "hash",
+  ".env": "hash",
+  ".npmrc": "hash",
+  "go.mod": "slash",
+  "go.work": "slash",
+};
+
+// pip reads "#" comments in requirements files
+const HASH_COMMENT_FILES = /^(?:requirements|constraints)[\w.-]*\.txt$/i;
+
+// Tool configs that are JSON without a .json extension
+const JSON_RC_FILES = new Set([
+  ".prettierrc", ".eslintrc", ".babelrc", ".stylelintrc", ".swcrc", ".jshintrc",
+]);
+
+// Plain text, where a "created by skeldir" line is harmless
+const TEXT_EXTENSIONS = new Set([".txt", ".text"]);
+const TEXT_FILES =
+  /^(?:license|licence|readme|changelog|authors|contributors|notice|copying|todo)$/i;
+
+const SHEBANGS = {
+  ".sh": "#!/usr/bin/env sh",
+  ".bash": "#!/usr/bin/env bash",
+  ".zsh": "#!/usr/bin/env zsh",
+};
+
+const STYLE_BY_EXTENSION = Object.fromEntries(
+  Object.entries(EXTENSION_STYLES).flatMap(([style, exts]) =>
+    exts.map((ext) => [ext, style])
+  )
+);
+
+function commentLines(style, lines) {
+  const [open, close] = COMMENT_STYLES[style];
+  return lines.map((line) => `${open} ${line}${close}\n`).join("");
+}
+
+// Placeholder content for a file created without template content, valid
+// for the file's language so linters pass on a fresh scaffold.
+export function getPlaceholder(fileName, comment = null) {
+  const ext = path.extname(fileName).toLowerCase();
+  const lines = [`${fileName} created by skeldir`];
+  if (comment) lines.push(comment);
+
+  if (EMPTY_FILES.has(fileName) || EMPTY_EXTENSIONS.has(ext)) return "";
+
+  if (SHEBANGS[ext]) {
+    return `${SHEBANGS[ext]}\n${commentLines("hash", lines)}`;
+  }
+
+  if (ext === ".json" || ext === ".json5" || JSON_RC_FILES.has(fileName)) return "{}\n";
+  if (ext === ".md" || ext === ".markdown" || ext === ".mdx") {
+    const title = path.basename(fileName, path.extname(fileName));
+    return `# ${title}\n${comment ? `\n${comment}\n` : ""}`;
+  }
+  if (ext === ".php") return `<?php\n${commentLines("slash", lines)}`;
+
+  const style =
+    FILENAME_STYLES[fileName] ||
+    (fileName.startsWith(".env") || HASH_COMMENT_FILES.test(fileName) ? "hash" : null) ||
+    STYLE_BY_EXTENSION[ext];
+  if (style) return commentLines(style, lines);
+
+  if (TEXT_EXTENSIONS.has(ext) || TEXT_FILES.test(fileName)) {
+    return lines.map((line) => `${line}\n`).join("");
+  }
+  // A format we don't know how to comment (.nvmrc, ...) stays valid empty
+  return "";
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { getPlaceholder } from "./placeholders.js";
+
+describe("placeholders", () => {
+  describe("getPlaceholder", () => {
+    it("uses the comment syntax of the file's language", () => {
+      expect(getPlaceholder("index.js")).toBe("// index.js created by skeldir\n");
+      expect(getPlaceholder("main.py")).toBe("# main.py created by skeldir\n");
+      expect(getPlaceholder("config.yaml")).toBe("# config.yaml created by skeldir\n");
+      expect(getPlaceholder("style.css")).toBe("/* style.css created by skeldir */\n");
+      expect(getPlaceholder("index.html")).toBe("<!-- index.html created by skeldir -->\n");
+      expect(getPlaceholder("schema.sql")).toBe("-- schema.sql created by skeldir\n");
+    });
+
+    it("recognises well-known file names", () => {
+      expect(getPlaceholder("Dockerfile")).toBe("# Dockerfile created by skeldir\n");
+      expect(getPlaceholder("Makefile")).toMatch(/^# /);
+      expect(getPlaceholder(".gitignore")).toMatch(/^# /);
+      expect(getPlaceholder(".env.local")).toMatch(/^# /);
+    });
+
+    it("writes valid empty JSON", () => {
+      expect(JSON.parse(getPlaceholder("tsconfig.json"))).toEqual({});
+    });
+
+    it("writes a Markdown heading", () => {
+      expect(getPlaceholder("CONTRIBUTING.md")).toBe("# CONTRIBUTING\n");
+    });
+
+    it("starts shell scripts with a shebang", () => {
+      expect(getPlaceholder("build.sh")).toBe(
+        "#!/usr/bin/env sh\n# build.sh created by skeldir\n"
+      );
+      expect(getPlaceholder("run.bash")).toMatch(/^#!\/usr\/bin\/env bash\n/);
+    });
+
+    it("leaves binaries and lockfiles empty", () => {
+      expect(getPlaceholder("logo.png")).toBe("");
+      expect(getPlaceholder("package-lock.json")).toBe("");
+      expect(getPlaceholder("yarn.lock")).toBe("");
+      expect(getPlaceholder(".gitkeep")).toBe("");
+    });
+
+    it("falls back to plain text", () => {
+      expect(getPlaceholder("notes.txt")).toBe("notes.txt created by skeldir\n");
+      expect(getPlaceholder("LICENSE")).toBe("LICENSE created by skeldir\n");
+    });
+
+    it("keeps common config files valid", () => {
+      expect(getPlaceholder("requirements.txt")).toBe("# requirements.txt created by skeldir\n");
+      expect(getPlaceholder("requirements-dev.txt")).toMatch(/^# /);
+      expect(getPlaceholder("go.mod")).toBe("// go.mod created by skeldir\n");
+      expect(getPlaceholder(".prettierrc")).toBe("{}\n");
+      expect(getPlaceholder(".eslintrc")).toBe("{}\n");
+      expect(getPlaceholder("config.json5")).toBe("{}\n");
+    });
+
+    it("leaves formats it can't comment empty", () => {
+      expect(getPlaceholder(".nvmrc")).toBe("");
+      expect(getPlaceholder("data.csv")).toBe("");
+      expect(getPlaceholder("gradlew")).toBe("");
+    });
+
+    it("includes an annotation in the header", () => {
+      expect(getPlaceholder("main.py", "entry point")).toBe(
+        "# main.py created by skeldir\n# entry point\n"
+      );
+      expect(getPlaceholder("README.md", "project docs")).toBe("# README\n\nproject docs\n");
+      expect(getPlaceholder("data.json", "fixtures")).toBe("{}\n");
+    });
+  });
+});
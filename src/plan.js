@@ -0,0 +1,179 @@
+import path from "path";
+import { getSymlink } from "./parser.js";
+import { lstatIfExists } from "./utils.js";
+
+// A plan describes everything a run would write, so it can be previewed
+// with --dry-run before anything touches disk.
+
+function collectEntries(structure, prefix, entries, emptyFiles) {
+  for (const key in structure) {
+    const value = structure[key];
+    const entryPath = prefix ? `${prefix}/${key}` : key;
+
+    const target = value === null ? getSymlink(structure, key) : null;
+    if (target) {
+      entries.push({ type: "symlink", path: entryPath, target });
+    } else if (value === null) {
+      entries.push({
+        type: "file",
+        path: entryPath,
+        source: emptyFiles ? "empty" : "placeholder",
+      });
+    } else if (typeof value === "string") {
+      entries.push({
+        type: "file",
+        path: entryPath,
+        source: "template",
+        bytes: Buffer.byteLength(value),
+      });
+    } else {
+      entries.push({ type: "directory", path: entryPath });
+      collectEntries(value, entryPath, entries, emptyFiles);
+    }
+  }
+  return entries;
+}
+
+export function buildPlan(structure, options = {}) {
+  const {
+    projectName,
+    targetDir,
+    readme = false,
+    gitignore = null,
+    gitInit = false,
+    conflict = null,
+    emptyFiles = false,
+  } = options;
+
+  const entries = collectEntries(structure || {}, "", [], emptyFiles);
+
+  if (readme) {
+    entries.push({ type: "file", path: "README.md", source: "readme" });
+  }
+  if (gitignore) {
+    entries.push({
+      type: "file",
+      path: ".gitignore",
+      source: "gitignore",
+      template: gitignore,
+    });
+  }
+
+  // Scaffolding into an existing directory: note what is already there. A
+  // path that can't be checked (name too long, no permission) is left for
+  // the creator to report
+  if (conflict && targetDir) {
+    for (const entry of entries) {
+      try {
+        if (lstatIfExists(path.join(targetDir, entry.path))) entry.exists = true;
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+
+  return {
+    projectName,
+    targetDir,
+    conflict,
+    entries,
+    readme: Boolean(readme),
+    gitignore,
+    gitInit: Boolean(gitInit),
+  };
+}
+
+function describeSource(entry) {
+  switch (entry.source) {
+    case "placeholder":
+      return "placeholder";
+    case "empty":
+      return "empty";
+    case "template":
+      return `template content, ${entry.bytes} bytes`;
+    case "readme":
+      return "generated README";
+    case "gitignore":
+      return `${entry.template} .gitignore`;
+    default:
+      return entry.source;
+  }
+}
+
+function toDisplayTree(entries) {
+  const root = { children: new Map() };
+  for (const entry of entries) {
+    let node = root;
+    for (const part of entry.path.split("/")) {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map() });
+      }
+      node = node.children.get(part);
+    }
+    node.entry = entry;
+  }
+  return root;
+}
+
+function renderChildren(node, prefix, lines, conflict) {
+  const children = [...node.children.entries()];
+  children.forEach(([name, child], index) => {
+    const isLast = index === children.length - 1;
+    const connector = isLast ? "└── " : "├── ";
+    const isDirectory = !child.entry || child.entry.type === "directory";
+
+    let line = prefix + connector + name + (isDirectory ? "/" : "");
+    if (child.entry && child.entry.type === "symlink") {
+      line += ` -> ${child.entry.target}`;
+      if (child.entry.exists) line += `  (exists, ${conflict})`;
+    } else if (!isDirectory) {
+      const notes = [describeSource(child.entry)];
+      if (child.entry.exists) notes.push(`exists, ${conflict}`);
+      line += `  (${notes.join("; ")})`;
+    }
+    lines.push(line);
+
+    if (isDirectory) {
+      renderChildren(child, prefix + (isLast ? "    " : "│   "), lines, conflict);
+    }
+  });
+}
+
+export function summarizePlan(plan) {
+  return {
+    directories: plan.entries.filter((e) => e.type === "directory").length,
+    files: plan.entries.filter((e) => e.type === "file").length,
+    symlinks: plan.entries.filter((e) => e.type === "symlink").length,
+    existing: plan.entries.filter((e) => e.type !== "directory" && e.exists).length,
+  };
+}
+
+function describeExtra(plan, fileName, generated) {
+  if (generated) return `generated${generated === true ? "" : ` (${generated})`}`;
+  if (plan.entries.some((e) => e.path === fileName)) return "from template";
+  return "not generated";
+}
+
+export function formatPlan(plan) {
+  const lines = [`${plan.projectName}/`];
+  renderChildren(toDisplayTree(plan.entries), "", lines, plan.conflict);
+
+  const { directories, files, symlinks, existing } = summarizePlan(plan);
+  lines.push(
+    "",
+    `Target:      ${plan.targetDir}`,
+    `Directories: ${directories}`,
+    `Files:       ${files}`
+  );
+  if (symlinks) lines.push(`Symlinks:    ${symlinks}`);
+  lines.push(
+    `README:      ${describeExtra(plan, "README.md", plan.readme)}`,
+    `.gitignore:  ${describeExtra(plan, ".gitignore", plan.gitignore)}`,
+    `git init:    ${plan.gitInit ? "yes" : "no"}`
+  );
+  if (plan.conflict) {
+    lines.push(`Existing:    ${existing} file(s), on conflict: ${plan.conflict}`);
+  }
+
+  return lines.join("\n");
+}
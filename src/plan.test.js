@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { buildPlan, formatPlan, summarizePlan } from "./plan.js";
+import { parseTree } from "./parser.js";
+
+describe("plan", () => {
+  const structure = {
+    src: { "index.js": null, "app.js": "console.log(1);" },
+    "package.json": null,
+  };
+
+  describe("buildPlan", () => {
+    it("lists every directory and file with its content source", () => {
+      const plan = buildPlan(structure, { projectName: "app", targetDir: "/tmp/app" });
+      expect(plan.entries).toEqual([
+        { type: "directory", path: "src" },
+        { type: "file", path: "src/index.js", source: "placeholder" },
+        { type: "file", path: "src/app.js", source: "template", bytes: 15 },
+        { type: "file", path: "package.json", source: "placeholder" },
+      ]);
+    });
+
+    it("adds README, .gitignore and git init decisions", () => {
+      const plan = buildPlan(structure, {
+        projectName: "app",
+        readme: true,
+        gitignore: "node",
+        gitInit: true,
+      });
+      expect(plan.entries.slice(-2)).toEqual([
+        { type: "file", path: "README.md", source: "readme" },
+        { type: "file", path: ".gitignore", source: "gitignore", template: "node" },
+      ]);
+      expect(plan.gitInit).toBe(true);
+      expect(summarizePlan(plan)).toEqual({ directories: 1, files: 5, symlinks: 0, existing: 0 });
+    });
+
+    it("lists symlinks with their targets", () => {
+      const plan = buildPlan(parseTree(["lib/", "current -> lib"]), { projectName: "app" });
+      expect(plan.entries).toEqual([
+        { type: "directory", path: "lib" },
+        { type: "symlink", path: "current", target: "lib" },
+      ]);
+      expect(summarizePlan(plan).symlinks).toBe(1);
+      expect(formatPlan(plan)).toContain("└── current -> lib\n");
+    });
+
+    it("marks existing entries, including a file where a folder is planned", () => {
+      const targetDir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-plan-"));
+      try {
+        fs.writeFileSync(path.join(targetDir, "src"), "existing");
+        const plan = buildPlan(structure, { projectName: "app", targetDir, conflict: "fail" });
+        expect(plan.entries.filter((e) => e.exists).map((e) => e.path)).toEqual(["src"]);
+
+        const long = buildPlan({ ["x".repeat(300)]: null }, { targetDir, conflict: "fail" });
+        expect(long.entries[0].exists).toBeUndefined();
+      } finally {
+        fs.rmSync(targetDir, { recursive: true, force: true });
+      }
+    });
+
+    it("handles an empty project", () => {
+      const plan = buildPlan(null, { projectName: "app", gitignore: "default" });
+      expect(plan.entries).toHaveLength(1);
+    });
+  });
+
+  describe("formatPlan", () => {
+    it("renders a tree view with sources and a summary", () => {
+      const plan = buildPlan(structure, {
+        projectName: "app",
+        targetDir: "/tmp/app",
+        gitignore: "node",
+      });
+      const output = formatPlan(plan);
+      expect(output).toContain("app/\n├── src/\n│   ├── index.js  (placeholder)");
+      expect(output).toContain("│   └── app.js  (template content, 15 bytes)");
+      expect(output).toContain("└── .gitignore  (node .gitignore)");
+      expect(output).toContain(".gitignore:  generated (node)");
+      expect(output).toContain("README:      not generated");
+      expect(output).toContain("git init:    no");
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import {
+  normalizeStructure,
+  serializeStructure,
+  isTemplateRecord,
+  TEMPLATE_FORMAT,
+} from "./formats.js";
+import { findVariables, escapesFolder } from "./variables.js";
+import { gitignoreTemplates } from "./gitignore.js";
+import { splitSymlink } from "./parser.js";
+import { sanitizeName } from "./utils.js";
+
+export const TEMPLATE_FORMAT_VERSION = 1;
+
+// Provided by getDefaultVariables, so never required from the user
+const BUILT_IN_VARIABLES = new Set([
+  "projectName",
+  "packageName",
+  "author",
+  "authorEmail",
+  "year",
+  "date",
+]);
+
+export function normalizeVariables(variables = []) {
+  return variables.map((v) => (typeof v === "string" ? { name: v } : { ...v }));
+}
+
+export function getRequiredVariables(structure, declared = []) {
+  const names = new Set(normalizeVariables(declared).map((v) => v.name));
+  const required = normalizeVariables(declared);
+  for (const name of findVariables(structure)) {
+    if (!BUILT_IN_VARIABLES.has(name) && !names.has(name)) {
+      required.push({ name });
+    }
+  }
+  return required;
+}
+
+export function isValidTemplateName(name) {
+  return typeof name === "string" && /^[a-zA-Z0-9_-]+$/.test(name);
+}
+
+// The structure is stored as JSON, so symlinks are written as
+// "name -> target" keys
+export function createTemplateRecord(name, structure, metadata = {}) {
+  const stored = serializeStructure(structure);
+  return {
+    format: TEMPLATE_FORMAT,
+    formatVersion: TEMPLATE_FORMAT_VERSION,
+    name,
+    description: metadata.description || "",
+    version: metadata.version || "1.0.0",
+    author: metadata.author || null,
+    tags: metadata.tags || [],
+    createdAt: metadata.createdAt || null,
+    updatedAt: metadata.updatedAt || null,
+    variables: getRequiredVariables(stored, metadata.variables),
+    gitignore: metadata.gitignore || null,
+    extends: metadata.extends || null,
+    include: metadata.include || [],
+    structure: stored,
+  };
+}
+
+// Reads either format into a record; a bare structure gets empty metadata
+export function toTemplateRecord(name, data) {
+  if (isTemplateRecord(data)) return data;
+  return createTemplateRecord(name, data);
+}
+
+// Bundles come from other people, so a name that would be created outside
+// its folder, or as the folder itself, is refused rather than cleaned up
+function findUnsafeNames(structure, location = "structure") {
+  const errors = [];
+  if (!structure || typeof structure !== "object" || Array.isArray(structure)) return errors;
+  for (const [key, value] of Object.entries(structure)) {
+    // "name -> target" is a symlink; its target may point anywhere
+    const link = splitSymlink(key);
+    const name = sanitizeName(link.target ? link.name : key.replace(/\/$/, ""));
+    if (name === "" || name === "." || name === "..") {
+      errors.push(`Invalid name '${key}' at ${location}`);
+    } else if (value && typeof value === "object") {
+      errors.push(...findUnsafeNames(value, `${location}/${name}`));
+    }
+  }
+  return errors;
+}
+
+export function validateTemplateRecord(data) {
+  const errors = [];
+
+  if (!isTemplateRecord(data)) {
+    return [`Not a skeldir template bundle (expected "format": "${TEMPLATE_FORMAT}")`];
+  }
+  if (
+    !Number.isInteger(data.formatVersion) ||
+    data.formatVersion < 1 ||
+    data.formatVersion > TEMPLATE_FORMAT_VERSION
+  ) {
+    errors.push(`Unsupported formatVersion: ${data.formatVersion}`);
+  }
+  if (!isValidTemplateName(data.name)) {
+    errors.push("name must use only letters, numbers, dashes, or underscores");
+  }
+  for (const field of ["description", "version"]) {
+    if (data[field] !== undefined && typeof data[field] !== "string") {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (data.author !== undefined && data.author !== null && typeof data.author !== "string") {
+    errors.push("author must be a string");
+  }
+  if (
+    data.tags !== undefined &&
+    !(Array.isArray(data.tags) && data.tags.every((t) => typeof t === "string"))
+  ) {
+    errors.push("tags must be a list of strings");
+  }
+  for (const field of ["createdAt", "updatedAt"]) {
+    const value = data[field];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (typeof value !== "string" || Number.isNaN(Date.parse(value)))
+    ) {
+      errors.push(`${field} must be an ISO date`);
+    }
+  }
+  if (data.variables !== undefined) {
+    const valid =
+      Array.isArray(data.variables) &&
+      data.variables.every(
+        (v) =>
+          typeof v === "string" ||
+          (v &&
+            typeof v === "object" &&
+            typeof v.name === "string" &&
+            v.name &&
+            ["description", "default"].every(
+              (field) => v[field] === undefined || typeof v[field] === "string"
+            ))
+      );
+    if (!valid) {
+      errors.push("variables must be a list of names or { name, description, default } objects");
+    } else {
+      for (const v of normalizeVariables(data.variables)) {
+        if (v.default !== undefined && escapesFolder(v.default)) {
+          errors.push(
+            `Default '${v.default}' for variable '${v.name}' is outside the project folder`
+          );
+        }
+      }
+    }
+  }
+  if (
+    data.gitignore !== undefined &&
+    data.gitignore !== null &&
+    !Object.prototype.hasOwnProperty.call(gitignoreTemplates, data.gitignore)
+  ) {
+    errors.push(
+      `gitignore must be one of: ${Object.keys(gitignoreTemplates).join(", ")}`
+    );
+  }
+  if (data.extends !== undefined && data.extends !== null && typeof data.extends !== "string") {
+    errors.push("extends must be a template name");
+  }
+  if (
+    data.include !== undefined &&
+    !(Array.isArray(data.include) && data.include.every((n) => typeof n === "string"))
+  ) {
+    errors.push("include must be a list of template names");
+  }
+  try {
+    normalizeStructure(data.structure, "structure");
+  } catch (error) {
+    errors.push(error.message);
+  }
+  errors.push(...findUnsafeNames(data.structure));
+
+  return errors;
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import {
+  createTemplateRecord,
+  toTemplateRecord,
+  validateTemplateRecord,
+  getRequiredVariables,
+} from "./templateBundle.js";
+
+describe("templateBundle", () => {
+  const structure = {
+    src: { "{{packageName}}": { "{{serviceName}}.py": "# {{ title }} by {{author}}" } },
+    Dockerfile: null,
+  };
+
+  describe("getRequiredVariables", () => {
+    it("lists variables in names that are not built in", () => {
+      expect(getRequiredVariables(structure)).toEqual([{ name: "serviceName" }]);
+    });
+
+    it("keeps declared definitions", () => {
+      const declared = [{ name: "serviceName", description: "Service id" }, "port"];
+      expect(getRequiredVariables(structure, declared)).toEqual([
+        { name: "serviceName", description: "Service id" },
+        { name: "port" },
+      ]);
+    });
+  });
+
+  describe("createTemplateRecord", () => {
+    it("wraps the structure with metadata", () => {
+      const record = createTemplateRecord("svc", structure, {
+        description: "Python service",
+        author: "Ana",
+        gitignore: "python",
+      });
+      expect(record).toMatchObject({
+        format: "skeldir-template",
+        formatVersion: 1,
+        name: "svc",
+        description: "Python service",
+        version: "1.0.0",
+        author: "Ana",
+        gitignore: "python",
+        tags: [],
+        createdAt: null,
+        variables: [{ name: "serviceName" }],
+        structure,
+      });
+      expect(validateTemplateRecord(record)).toEqual([]);
+    });
+  });
+
+  describe("toTemplateRecord", () => {
+    it("upgrades a bare structure", () => {
+      const record = toTemplateRecord("old", { "a.js": null });
+      expect(record.name).toBe("old");
+      expect(record.structure).toEqual({ "a.js": null });
+    });
+  });
+
+  describe("validateTemplateRecord", () => {
+    it("rejects data that is not a bundle", () => {
+      expect(validateTemplateRecord({ "a.js": null })[0]).toMatch(/Not a skeldir template/);
+    });
+
+    it("reports every problem", () => {
+      const errors = validateTemplateRecord({
+        format: "skeldir-template",
+        formatVersion: 99,
+        name: "bad name",
+        description: 5,
+        variables: [{}],
+        gitignore: "cobol",
+        structure: { src: [1] },
+      });
+      expect(errors).toHaveLength(6);
+    });
+
+    it("refuses names that would escape their folder", () => {
+      const record = createTemplateRecord("evil", {});
+      expect(
+        validateTemplateRecord({
+          ...record,
+          structure: { "..": { "out.txt": "pwned" }, src: { "./": {}, "": null } },
+        })
+      ).toEqual([
+        "Invalid name '..' at structure",
+        "Invalid name './' at structure/src",
+        "Invalid name '' at structure/src",
+      ]);
+    });
+
+    it("refuses variable defaults that lead out of the project folder", () => {
+      const record = createTemplateRecord("evil2", { "{{f}}": "echo hi\n" });
+      const variables = [
+        { name: "f", default: "../../outside/planted.sh" },
+        { name: "g", default: "ok" },
+      ];
+      expect(validateTemplateRecord({ ...record, variables })).toEqual([
+        "Default '../../outside/planted.sh' for variable 'f' is outside the project folder",
+      ]);
+    });
+
+    it("checks tags, timestamps and variable definitions", () => {
+      const record = createTemplateRecord("svc", structure);
+      expect(
+        validateTemplateRecord({
+          ...record,
+          tags: "node",
+          createdAt: "yesterday",
+          variables: [{ name: "port", default: 8080 }],
+        })
+      ).toEqual([
+        "tags must be a list of strings",
+        "createdAt must be an ISO date",
+        "variables must be a list of names or { name, description, default } objects",
+      ]);
+    });
+  });
+});
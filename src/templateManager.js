@@ -1,7 +1,18 @@
 import fs from "fs";
 import path from "path";
 import os from "os";
-import { parseTree } from "./parser.js";
+import { parseTree, getSymlink, setSymlink } from "./parser.js";
+import { templates, fragments } from "./templates.js";
+import { mergeStructures } from "./compose.js";
+import { loadConfig } from "./config.js";
+import {
+  createTemplateRecord,
+  toTemplateRecord,
+  normalizeVariables,
+  validateTemplateRecord,
+  isValidTemplateName,
+} from "./templateBundle.js";
+import { normalizeStructure, isTemplateRecord } from "./formats.js";
 
 export function getTemplatesDir() {
   const configDir = path.join(os.homedir(), ".skeldir");
@@ -15,12 +26,91 @@ export function getTemplatesDir() {
   return templatesDir;
 }
 
-export function saveTemplate(name, structure) {
+function expandHome(dir) {
+  if (dir === "~") return os.homedir();
+  if (dir.startsWith("~/") || dir.startsWith("~\\")) {
+    return path.join(os.homedir(), dir.slice(2));
+  }
+  return path.resolve(os.homedir(), dir);
+}
+
+function findProjectTemplatesDir(startDir) {
+  const userDir = path.join(os.homedir(), ".skeldir", "templates");
+  let dir = path.resolve(startDir);
+  while (true) {
+    const candidate = path.join(dir, ".skeldir", "templates");
+    if (candidate !== userDir && fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Where templates are looked up, first match wins: the nearest project-local
+// .skeldir/templates, team-shared dirs from customTemplatesPath, then the
+// user's own ~/.skeldir/templates. Built-ins come after all of these.
+export function getTemplateRoots(cwd = process.cwd()) {
+  const roots = [];
+
+  const projectDir = findProjectTemplatesDir(cwd);
+  if (projectDir) roots.push({ scope: "project", dir: projectDir });
+
+  const { customTemplatesPath } = loadConfig();
+  let shared = customTemplatesPath || [];
+  if (!Array.isArray(shared)) shared = [shared];
+  for (const dir of shared) {
+    const resolved = expandHome(dir);
+    if (fs.existsSync(resolved)) roots.push({ scope: "shared", dir: resolved });
+  }
+
+  roots.push({ scope: "user", dir: getTemplatesDir() });
+  return roots;
+}
+
+export function findTemplate(name) {
+  for (const root of getTemplateRoots()) {
+    const templatePath = path.join(root.dir, `${name}.json`);
+    if (fs.existsSync(templatePath)) {
+      return { name, scope: root.scope, path: templatePath };
+    }
+  }
+  return null;
+}
+
+function readRecordFile(templatePath) {
+  try {
+    return JSON.parse(fs.readFileSync(templatePath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether `name` is taken in the user's own templates folder
+export function templateExists(name) {
+  return fs.existsSync(path.join(getTemplatesDir(), `${name}.json`));
+}
+
+// Replacing an existing template needs `force`; the replacement keeps the
+// original creation time
+export function saveTemplate(name, structure, metadata = {}, options = {}) {
+  const { force = false } = options;
   const templatesDir = getTemplatesDir();
   const templatePath = path.join(templatesDir, `${name}.json`);
+  if (fs.existsSync(templatePath) && !force) {
+    console.error(`Template '${name}' already exists. Use --force to replace it.`);
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const existing = readRecordFile(templatePath);
+  const record = createTemplateRecord(name, structure, {
+    ...metadata,
+    createdAt: isTemplateRecord(existing) && existing.createdAt ? existing.createdAt : now,
+    updatedAt: now,
+  });
 
   try {
-    fs.writeFileSync(templatePath, JSON.stringify(structure, null, 2));
+    fs.writeFileSync(templatePath, JSON.stringify(record, null, 2));
     return true;
   } catch (error) {
     console.error(`Error saving template: ${error.message}`);
@@ -28,39 +118,218 @@ export function saveTemplate(name, structure) {
   }
 }
 
-export function loadTemplate(name) {
-  const templatesDir = getTemplatesDir();
-  const templatePath = path.join(templatesDir, `${name}.json`);
+export function loadTemplateRecord(name) {
+  const found = findTemplate(name);
+  if (!found) {
+    return null;
+  }
 
-  if (!fs.existsSync(templatePath)) {
+  try {
+    const content = fs.readFileSync(found.path, "utf8");
+    return toTemplateRecord(name, JSON.parse(content));
+  } catch (error) {
+    console.error(`Error loading template: ${error.message}`);
     return null;
   }
+}
 
+// The fully composed structure, with `extends` and `include` applied
+export function loadTemplate(name, projectName = "{{projectName}}") {
   try {
-    const content = fs.readFileSync(templatePath, "utf8");
-    return JSON.parse(content);
+    const resolved = resolveTemplate(name, projectName);
+    return resolved && resolved.source === "saved" ? resolved.structure : null;
   } catch (error) {
     console.error(`Error loading template: ${error.message}`);
     return null;
   }
 }
 
-export function listTemplates() {
-  const templatesDir = getTemplatesDir();
-  if (!fs.existsSync(templatesDir)) {
-    return [];
+export function exportTemplate(name) {
+  const record = loadTemplateRecord(name);
+  if (!record) {
+    throw new Error(`Template '${name}' not found`);
+  }
+  return { ...record, name };
+}
+
+export function importTemplate(filePath, options = {}) {
+  const { name: rename, force = false } = options;
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`File not found: ${resolvedPath}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${resolvedPath}: ${error.message}`);
+  }
+
+  if (rename && data && typeof data === "object") data = { ...data, name: rename };
+  const errors = validateTemplateRecord(data);
+  if (errors.length) {
+    throw new Error(`Invalid template bundle:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const templatePath = path.join(getTemplatesDir(), `${data.name}.json`);
+  if (fs.existsSync(templatePath) && !force) {
+    throw new Error(`Template '${data.name}' already exists. Use --force to replace it.`);
+  }
+
+  const record = createTemplateRecord(data.name, normalizeStructure(data.structure), {
+    ...data,
+    createdAt: data.createdAt || new Date().toISOString(),
+  });
+  fs.writeFileSync(templatePath, JSON.stringify(record, null, 2));
+  return record;
+}
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+function resolveBuiltIn(name, projectName) {
+  if (has(templates, name)) {
+    return {
+      structure: templates[name](projectName),
+      source: "builtin",
+      type: name,
+      variables: [],
+    };
+  }
+  if (has(fragments, name)) {
+    return {
+      structure: fragments[name](projectName),
+      source: "builtin",
+      type: "custom",
+      variables: [],
+    };
+  }
+  return null;
+}
+
+// A definition from an upper layer fills in or overrides the one below
+function mergeVariables(base, layer) {
+  const result = base.map((v) => ({ ...v }));
+  for (const definition of layer) {
+    const existing = result.find((v) => v.name === definition.name);
+    if (existing) {
+      Object.assign(existing, definition);
+    } else {
+      result.push({ ...definition });
+    }
+  }
+  return result;
+}
+
+// Saved templates shadow built-ins with the same name. A saved template is
+// layered on top of its `extends` parent and `include` fragments, in that
+// order; inside that chain a name already being resolved refers to the
+// built-in it shadows, so a saved "node" can extend the built-in "node".
+export function resolveTemplate(name, projectName, chain = []) {
+  if (chain.includes(name)) {
+    const builtIn = resolveBuiltIn(name, projectName);
+    if (builtIn) return builtIn;
+    throw new Error(`Circular template inheritance: ${[...chain, name].join(" -> ")}`);
+  }
+
+  const record = loadTemplateRecord(name);
+  if (!record) {
+    return resolveBuiltIn(name, projectName);
+  }
+
+  let structure = {};
+  let variables = [];
+  let type = record.gitignore || null;
+  const parents = [record.extends, ...(record.include || [])].filter(Boolean);
+
+  for (const parentName of parents) {
+    const parent = resolveTemplate(parentName, projectName, [...chain, name]);
+    if (!parent) {
+      throw new Error(`Template '${name}' builds on '${parentName}', which was not found`);
+    }
+    structure = mergeStructures(structure, parent.structure);
+    variables = mergeVariables(variables, parent.variables);
+    if (!type && parentName === record.extends && parent.type !== "custom") {
+      type = parent.type;
+    }
   }
 
+  return {
+    structure: mergeStructures(structure, normalizeStructure(record.structure)),
+    source: "saved",
+    type: type || "custom",
+    variables: mergeVariables(variables, normalizeVariables(record.variables)),
+  };
+}
+
+export function layerTemplates(structure, names, projectName) {
+  let result = structure || {};
+  for (const name of names) {
+    const layer = resolveTemplate(name, projectName);
+    if (!layer) {
+      throw new Error(`Template or fragment '${name}' not found`);
+    }
+    result = mergeStructures(result, layer.structure);
+  }
+  return result;
+}
+
+function readTemplateNames(dir) {
   try {
-    const files = fs.readdirSync(templatesDir);
-    return files
+    return fs
+      .readdirSync(dir)
       .filter((f) => f.endsWith(".json"))
-      .map((f) => f.replace(".json", ""));
+      .map((f) => f.replace(/\.json$/, ""));
   } catch (error) {
     return [];
   }
 }
 
+// Every template from every root plus the built-ins, in lookup order.
+// Entries hidden by an earlier one with the same name carry `shadowedBy`.
+export function listTemplateEntries() {
+  const entries = [];
+  const seen = new Map();
+  const add = (entry) => {
+    if (seen.has(entry.name)) {
+      entry.shadowedBy = seen.get(entry.name);
+    } else {
+      seen.set(entry.name, entry.scope);
+    }
+    entries.push(entry);
+  };
+
+  for (const root of getTemplateRoots()) {
+    for (const name of readTemplateNames(root.dir)) {
+      const templatePath = path.join(root.dir, `${name}.json`);
+      const data = readRecordFile(templatePath);
+      const record = isTemplateRecord(data) ? data : {};
+      add({
+        name,
+        scope: root.scope,
+        path: templatePath,
+        description: record.description || "",
+        tags: record.tags || [],
+      });
+    }
+  }
+  for (const name of [...Object.keys(templates), ...Object.keys(fragments)]) {
+    add({ name, scope: "built-in", path: null });
+  }
+
+  return entries;
+}
+
+export function listTemplates() {
+  return [
+    ...new Set(
+      listTemplateEntries()
+        .filter((e) => e.scope !== "built-in")
+        .map((e) => e.name)
+    ),
+  ];
+}
+
 export function deleteTemplate(name) {
   const templatesDir = getTemplatesDir();
   const templatePath = path.join(templatesDir, `${name}.json`);
@@ -78,7 +347,116 @@ export function deleteTemplate(name) {
   }
 }
 
-export async function saveTemplateFromInput(name, rl) {
+function checkTargetName(target, force) {
+  if (!isValidTemplateName(target)) {
+    throw new Error(
+      `Invalid template name '${target}'. Use only letters, numbers, dashes, or underscores.`
+    );
+  }
+  if (templateExists(target) && !force) {
+    throw new Error(`Template '${target}' already exists. Use --force to replace it.`);
+  }
+}
+
+function writeRecord(templatePath, record) {
+  fs.writeFileSync(templatePath, JSON.stringify(record, null, 2));
+}
+
+// Copies any saved template, or a built-in, into the user's templates
+export function copyTemplate(source, target, options = {}) {
+  checkTargetName(target, options.force);
+
+  let structure;
+  let metadata;
+  const record = loadTemplateRecord(source);
+  if (record) {
+    ({ structure, ...metadata } = record);
+  } else {
+    const builtIn = resolveBuiltIn(source, "{{projectName}}");
+    if (!builtIn) throw new Error(`Template '${source}' not found`);
+    structure = builtIn.structure;
+    metadata = { gitignore: builtIn.type !== "custom" ? builtIn.type : null };
+  }
+
+  const now = new Date().toISOString();
+  const result = createTemplateRecord(target, structure, {
+    ...metadata,
+    createdAt: now,
+    updatedAt: now,
+  });
+  writeRecord(path.join(getTemplatesDir(), `${target}.json`), result);
+  return result;
+}
+
+// Like deleteTemplate, only works on the user's own templates
+export function renameTemplate(source, target, options = {}) {
+  const sourcePath = path.join(getTemplatesDir(), `${source}.json`);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Template '${source}' not found in ${getTemplatesDir()}`);
+  }
+  if (source === target) return toTemplateRecord(source, readRecordFile(sourcePath));
+  checkTargetName(target, options.force);
+
+  const record = toTemplateRecord(source, readRecordFile(sourcePath));
+  const renamed = { ...record, name: target, updatedAt: new Date().toISOString() };
+  writeRecord(path.join(getTemplatesDir(), `${target}.json`), renamed);
+  fs.unlinkSync(sourcePath);
+  return renamed;
+}
+
+function restoreContents(structure, previous) {
+  const result = {};
+  for (const key in structure) {
+    const value = structure[key];
+    const before = previous && typeof previous === "object" ? previous[key] : undefined;
+    const target = getSymlink(structure, key);
+    if (target) {
+      result[key] = null;
+      setSymlink(result, key, target);
+    } else if (value && typeof value === "object") {
+      result[key] = restoreContents(value, before);
+    } else {
+      result[key] = typeof before === "string" ? before : value;
+    }
+  }
+  return result;
+}
+
+function countContents(structure) {
+  let count = 0;
+  for (const key in structure) {
+    const value = structure[key];
+    if (typeof value === "string") count++;
+    else if (value && typeof value === "object") count += countContents(value);
+  }
+  return count;
+}
+
+// `template edit` works on tree text, which has no room for file contents:
+// files that keep their path keep their saved content, everything else in
+// the record stays as it was. An edit that would lose every saved content
+// (usually everything moved one level down) is refused.
+export function updateTemplateStructure(name, structure) {
+  const found = findTemplate(name);
+  if (!found) throw new Error(`Template '${name}' not found`);
+
+  const record = toTemplateRecord(name, readRecordFile(found.path));
+  const restored = restoreContents(structure, record.structure);
+  const saved = countContents(record.structure);
+  if (saved && !countContents(restored)) {
+    throw new Error(
+      `The edit would drop the contents of all ${saved} saved file(s); template not modified`
+    );
+  }
+  const updated = createTemplateRecord(name, restored, {
+    ...record,
+    updatedAt: new Date().toISOString(),
+  });
+  writeRecord(found.path, updated);
+  return updated;
+}
+
+export async function saveTemplateFromInput(name, rl, metadata = {}, options = {}) {
   console.log(
     `\n📋 Paste your directory structure for template '${name}' (end with an empty line):`
   );
@@ -94,6 +472,6 @@ export async function saveTemplateFromInput(name, rl) {
     return false;
   }
 
-  const structure = parseTree(lines);
-  return saveTemplate(name, structure);
+  const structure = parseTree(lines, { guessFolders: options.guessFolders });
+  return saveTemplate(name, structure, metadata, options);
 }
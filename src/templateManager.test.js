@@ -0,0 +1,337 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import {
+  saveTemplate,
+  loadTemplate,
+  resolveTemplate,
+  getTemplateRoots,
+  findTemplate,
+  listTemplateEntries,
+  listTemplates,
+  exportTemplate,
+  importTemplate,
+  copyTemplate,
+  renameTemplate,
+  updateTemplateStructure,
+  getTemplatesDir,
+  layerTemplates,
+} from "./templateManager.js";
+import { parseTree, getSymlink } from "./parser.js";
+
+describe("templateManager", () => {
+  let homeDir;
+  let originalHome;
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-home-"));
+    originalHome = process.env.HOME;
+    process.env.HOME = homeDir;
+  });
+
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  describe("resolveTemplate", () => {
+    it("resolves built-in templates by name", () => {
+      const resolved = resolveTemplate("node", "my-app");
+      expect(resolved.source).toBe("builtin");
+      expect(resolved.type).toBe("node");
+      expect(JSON.parse(resolved.structure["package.json"]).name).toBe("my-app");
+    });
+
+    it("resolves saved templates", () => {
+      saveTemplate("svc", { src: { "index.js": null } });
+      expect(loadTemplate("svc")).toEqual({ src: { "index.js": null } });
+      expect(resolveTemplate("svc", "x")).toEqual({
+        structure: { src: { "index.js": null } },
+        source: "saved",
+        type: "custom",
+        variables: [],
+      });
+    });
+
+    it("saves symlinks as 'name -> target' keys and resolves them as links", () => {
+      saveTemplate("linked", parseTree(["src/", "  main.js", "cfg -> ../shared"]));
+      const saved = JSON.parse(fs.readFileSync(findTemplate("linked").path, "utf8"));
+      expect(saved.structure).toEqual({ src: { "main.js": null }, "cfg -> ../shared": null });
+
+      const { structure } = resolveTemplate("linked", "x");
+      expect(structure).toMatchObject({ src: { "main.js": null }, cfg: null });
+      expect(getSymlink(structure, "cfg")).toBe("../shared");
+    });
+
+    it("lets saved templates shadow built-ins", () => {
+      saveTemplate("node", { "server.js": null });
+      expect(resolveTemplate("node", "x").source).toBe("saved");
+    });
+
+    it("returns null for unknown names", () => {
+      expect(resolveTemplate("nope", "x")).toBeNull();
+      expect(resolveTemplate("toString", "x")).toBeNull();
+    });
+  });
+
+  describe("template roots", () => {
+    let sharedDir;
+
+    beforeEach(() => {
+      sharedDir = path.join(homeDir, "team-templates");
+      fs.mkdirSync(sharedDir);
+      fs.writeFileSync(
+        path.join(homeDir, ".skeldir.json"),
+        JSON.stringify({ customTemplatesPath: ["~/team-templates", "missing-dir"] })
+      );
+    });
+
+    it("finds project-local templates in the nearest .skeldir/templates", () => {
+      const projectDir = path.join(homeDir, "repo");
+      fs.mkdirSync(path.join(projectDir, ".skeldir", "templates"), { recursive: true });
+      fs.mkdirSync(path.join(projectDir, "packages", "api"), { recursive: true });
+
+      const roots = getTemplateRoots(path.join(projectDir, "packages", "api"));
+      expect(roots.map((r) => r.scope)).toEqual(["project", "shared", "user"]);
+      expect(roots[0].dir).toBe(path.join(projectDir, ".skeldir", "templates"));
+      expect(roots[1].dir).toBe(sharedDir);
+    });
+
+    it("loads templates from shared directories", () => {
+      fs.writeFileSync(path.join(sharedDir, "svc.json"), JSON.stringify({ "a.js": null }));
+      expect(findTemplate("svc").scope).toBe("shared");
+      expect(loadTemplate("svc")).toEqual({ "a.js": null });
+      expect(listTemplates()).toContain("svc");
+    });
+
+    it("reports which template shadows which", () => {
+      fs.writeFileSync(path.join(sharedDir, "svc.json"), "{}");
+      fs.writeFileSync(path.join(sharedDir, "node.json"), "{}");
+      saveTemplate("svc", {});
+
+      const entries = listTemplateEntries();
+      const userSvc = entries.find((e) => e.name === "svc" && e.scope === "user");
+      const builtinNode = entries.find((e) => e.name === "node" && e.scope === "built-in");
+      expect(userSvc.shadowedBy).toBe("shared");
+      expect(builtinNode.shadowedBy).toBe("shared");
+      expect(findTemplate("svc").scope).toBe("shared");
+    });
+  });
+
+  describe("metadata", () => {
+    it("stamps created and updated times, keeping createdAt on re-save", () => {
+      saveTemplate("svc", {}, { tags: ["node"] });
+      const first = exportTemplate("svc");
+      expect(first.tags).toEqual(["node"]);
+      expect(first.createdAt).toBe(first.updatedAt);
+
+      const templatePath = path.join(getTemplatesDir(), "svc.json");
+      fs.writeFileSync(
+        templatePath,
+        JSON.stringify({ ...first, createdAt: "2020-01-01T00:00:00.000Z" })
+      );
+      saveTemplate("svc", { "a.txt": null }, {}, { force: true });
+      const second = exportTemplate("svc");
+      expect(second.createdAt).toBe("2020-01-01T00:00:00.000Z");
+      expect(second.updatedAt).not.toBe(second.createdAt);
+    });
+
+    it("lists descriptions and tags", () => {
+      saveTemplate("svc", {}, { description: "Node service", tags: ["api"] });
+      const entry = listTemplateEntries().find((e) => e.name === "svc");
+      expect(entry).toMatchObject({ description: "Node service", tags: ["api"] });
+    });
+
+    it("composes variable definitions from parents", () => {
+      saveTemplate("base", { "{{port}}.txt": null }, {
+        variables: [{ name: "port", description: "HTTP port", default: "8080" }],
+      });
+      saveTemplate("svc", { "{{region}}.txt": null }, {
+        extends: "base",
+        variables: [{ name: "port", default: "3000" }],
+      });
+      expect(resolveTemplate("svc", "x").variables).toEqual([
+        { name: "port", description: "HTTP port", default: "3000" },
+        { name: "region" },
+      ]);
+    });
+  });
+
+  describe("save, copy and rename", () => {
+    it("refuses to overwrite a saved template without force", () => {
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      saveTemplate("svc", { "a.txt": null });
+      expect(saveTemplate("svc", { "b.txt": null })).toBe(false);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/already exists/));
+      expect(loadTemplate("svc")).toEqual({ "a.txt": null });
+
+      expect(saveTemplate("svc", { "b.txt": null }, {}, { force: true })).toBe(true);
+      expect(loadTemplate("svc")).toEqual({ "b.txt": null });
+      errorSpy.mockRestore();
+    });
+
+    it("copies a saved template with its metadata", () => {
+      saveTemplate("svc", { "a.txt": "hi" }, { description: "Service", extends: "node" });
+      const copy = copyTemplate("svc", "svc2");
+      expect(copy).toMatchObject({ name: "svc2", description: "Service", extends: "node" });
+      expect(loadTemplate("svc")).toEqual(loadTemplate("svc2"));
+      expect(() => copyTemplate("svc", "svc2")).toThrow(/already exists/);
+      expect(() => copyTemplate("svc", "bad name")).toThrow(/Invalid template name/);
+    });
+
+    it("copies a built-in into a saved template", () => {
+      const copy = copyTemplate("python", "my-python");
+      expect(copy.gitignore).toBe("python");
+      expect(findTemplate("my-python").scope).toBe("user");
+    });
+
+    it("renames a saved template", () => {
+      saveTemplate("svc", { "a.txt": null });
+      expect(renameTemplate("svc", "api").name).toBe("api");
+      expect(findTemplate("svc")).toBeNull();
+      expect(loadTemplate("api")).toEqual({ "a.txt": null });
+      expect(() => renameTemplate("svc", "x")).toThrow(/not found/);
+    });
+  });
+
+  describe("updateTemplateStructure", () => {
+    it("keeps contents of files that stay in place, and the metadata", () => {
+      saveTemplate("svc", { src: { "index.js": "run();" }, "old.txt": "gone" }, {
+        description: "Service",
+      });
+      const updated = updateTemplateStructure("svc", {
+        src: { "index.js": null, "util.js": null },
+        "new.txt": null,
+      });
+      expect(updated.description).toBe("Service");
+      expect(updated.structure).toEqual({
+        src: { "index.js": "run();", "util.js": null },
+        "new.txt": null,
+      });
+    });
+
+    it("refuses an edit that drops every saved content", () => {
+      saveTemplate("svc", { src: { "index.js": "run();" }, "a.txt": "a" });
+      expect(() =>
+        updateTemplateStructure("svc", { svc: { src: { "index.js": null }, "a.txt": null } })
+      ).toThrow("The edit would drop the contents of all 2 saved file(s)");
+      expect(loadTemplate("svc")).toEqual({ src: { "index.js": "run();" }, "a.txt": "a" });
+    });
+
+    it("keeps symlinks", () => {
+      saveTemplate("linked", parseTree(["src/", "  index.js", "cfg -> ../shared/cfg"]));
+      const updated = updateTemplateStructure(
+        "linked",
+        parseTree(["src/", "  main.js", "cfg -> ../shared/cfg"])
+      );
+      expect(updated.structure).toEqual({
+        src: { "main.js": null },
+        "cfg -> ../shared/cfg": null,
+      });
+    });
+  });
+
+  describe("export and import", () => {
+    it("round-trips a template through a bundle file", () => {
+      const structure = { src: { "index.js": "console.log('{{projectName}}');" }, "a.txt": null };
+      saveTemplate("svc", structure, { description: "Node service", gitignore: "node" });
+
+      const bundlePath = path.join(homeDir, "svc.bundle.json");
+      fs.writeFileSync(bundlePath, JSON.stringify(exportTemplate("svc")));
+      const record = importTemplate(bundlePath, { name: "svc-copy" });
+
+      expect(record.name).toBe("svc-copy");
+      expect(record.description).toBe("Node service");
+      expect(loadTemplate("svc-copy")).toEqual(structure);
+      expect(resolveTemplate("svc-copy", "x").type).toBe("node");
+    });
+
+    it("refuses to replace an existing template without force", () => {
+      saveTemplate("svc", {});
+      const bundlePath = path.join(homeDir, "svc.bundle.json");
+      fs.writeFileSync(bundlePath, JSON.stringify(exportTemplate("svc")));
+
+      expect(() => importTemplate(bundlePath)).toThrow(/already exists/);
+      expect(importTemplate(bundlePath, { force: true }).name).toBe("svc");
+    });
+
+    it("rejects invalid bundles", () => {
+      const bundlePath = path.join(homeDir, "bad.json");
+      fs.writeFileSync(bundlePath, JSON.stringify({ "a.js": null }));
+      expect(() => importTemplate(bundlePath)).toThrow(/Invalid template bundle/);
+    });
+
+    it("rejects bundles with names that escape the project folder", () => {
+      const bundlePath = path.join(homeDir, "evil.json");
+      fs.writeFileSync(
+        bundlePath,
+        JSON.stringify({
+          format: "skeldir-template",
+          formatVersion: 1,
+          name: "evil",
+          structure: { "..": { "out.txt": "pwned" } },
+        })
+      );
+      expect(() => importTemplate(bundlePath)).toThrow("Invalid name '..' at structure");
+      expect(fs.existsSync(path.join(getTemplatesDir(), "evil.json"))).toBe(false);
+    });
+
+    it("exports bare structures saved by older versions", () => {
+      fs.writeFileSync(
+        path.join(getTemplatesDir(), "old.json"),
+        JSON.stringify({ "a.js": null })
+      );
+      expect(exportTemplate("old")).toMatchObject({ name: "old", structure: { "a.js": null } });
+    });
+  });
+
+  describe("composition", () => {
+    it("layers a template on its extends parent and includes", () => {
+      saveTemplate("svc", { src: { "server.js": null }, "index.js": "require('./src/server');" }, {
+        extends: "node",
+        include: ["docker"],
+      });
+
+      const resolved = resolveTemplate("svc", "billing");
+      expect(resolved.type).toBe("node");
+      expect(JSON.parse(resolved.structure["package.json"]).name).toBe("billing");
+      expect(resolved.structure["index.js"]).toBe("require('./src/server');");
+      expect(resolved.structure).toHaveProperty("Dockerfile");
+      expect(resolved.structure.src).toHaveProperty("server.js", null);
+    });
+
+    it("resolves saved parents recursively", () => {
+      saveTemplate("base", { "LICENSE": "MIT" });
+      saveTemplate("mid", { docs: {} }, { extends: "base" });
+      saveTemplate("top", { "a.txt": null }, { extends: "mid" });
+      expect(loadTemplate("top")).toEqual({ LICENSE: "MIT", docs: {}, "a.txt": null });
+    });
+
+    it("lets a saved template extend the built-in it shadows", () => {
+      saveTemplate("node", { "server.js": null }, { extends: "node" });
+      const resolved = resolveTemplate("node", "x");
+      expect(resolved.source).toBe("saved");
+      expect(resolved.structure).toHaveProperty("package.json");
+      expect(resolved.structure).toHaveProperty("server.js", null);
+    });
+
+    it("detects circular inheritance", () => {
+      saveTemplate("a", {}, { extends: "b" });
+      saveTemplate("b", {}, { extends: "a" });
+      expect(() => resolveTemplate("a", "x")).toThrow(/Circular template inheritance: a -> b -> a/);
+    });
+
+    it("reports missing parents", () => {
+      saveTemplate("orphan", {}, { include: ["nope"] });
+      expect(() => resolveTemplate("orphan", "x")).toThrow(/builds on 'nope'/);
+    });
+
+    it("layers fragments for --add", () => {
+      const result = layerTemplates({ "index.js": null }, ["docker", "github-actions"], "x");
+      expect(result).toHaveProperty("Dockerfile");
+      expect(result[".github"].workflows).toHaveProperty("ci.yml");
+      expect(() => layerTemplates({}, ["nope"], "x")).toThrow(/not found/);
+    });
+  });
+});
@@ -142,3 +142,72 @@ root.render(<App />);`,
     ".gitignore": gitignoreTemplates.react,
   }),
 };
+
+// Partial layouts meant to be layered on a project with `--add <name>` or
+// `include` in a saved template
+export const fragments = {
+  docker: () => ({
+    Dockerfile: `# Replace the base image and commands for your stack
+FROM alpine:3
+WORKDIR /app
+COPY . .
+CMD ["sh"]
+`,
+    ".dockerignore": `.git
+node_modules
+dist
+build
+.env
+`,
+  }),
+
+  "github-actions": () => ({
+    ".github": {
+      workflows: {
+        "ci.yml": `name: CI
+
+on:
+  push:
+    branches: [main]
+  pull_request:
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - name: Build
+        run: echo "Add your build and test steps here"
+`,
+      },
+    },
+  }),
+
+  eslint: () => ({
+    "eslint.config.js": `import js from "@eslint/js";
+
+export default [js.configs.recommended];
+`,
+  }),
+
+  prettier: () => ({
+    ".prettierrc": `{}\n`,
+    ".prettierignore": `dist
+build
+coverage
+`,
+  }),
+
+  editorconfig: () => ({
+    ".editorconfig": `root = true
+
+[*]
+indent_style = space
+indent_size = 2
+end_of_line = lf
+charset = utf-8
+trim_trailing_whitespace = true
+insert_final_newline = true
+`,
+  }),
+};
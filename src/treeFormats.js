@@ -0,0 +1,208 @@
+import { setSymlink } from "./parser.js";
+import { ERRORS_KEY, serializeStructure } from "./formats.js";
+
+// Renderers for the nodes scanDirectory produces
+// ({ name, isDirectory, children }). "template" is not a text format: the
+// CLI saves nodesToStructure() into the template store instead.
+
+export const TREE_FORMATS = ["unicode", "ascii", "json", "markdown", "html", "mermaid", "template"];
+
+const CHARSETS = {
+  unicode: { branch: "├── ", last: "└── ", pipe: "│   ", space: "    " },
+  // Same as `tree --charset=ascii`, which parseTree reads back
+  ascii: { branch: "|-- ", last: "`-- ", pipe: "|   ", space: "    " },
+};
+
+// Symlinks as `tree` prints them: "name -> target". Entries that couldn't be
+// read say why: "secrets/ [permission denied]".
+function displayName(node) {
+  const error = node.error ? ` [${node.error}]` : "";
+  if (!node.symlink) return node.name + (node.isDirectory ? "/" : "") + error;
+  const cycle = node.cycle ? "  [recursive, not followed]" : "";
+  return `${node.name} -> ${node.symlink}${cycle}${error}`;
+}
+
+const SIZE_UNITS = ["B", "KB", "MB", "GB", "TB"];
+
+export function formatSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Local time, to the minute
+export function formatMtime(date) {
+  return (
+    `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ` +
+    `${pad2(date.getHours())}:${pad2(date.getMinutes())}`
+  );
+}
+
+// The "(1.2 KB, 40 lines)" suffix for the options scanDirectory collected
+// stats for; folders show the totals of what they contain
+function annotation(node, options) {
+  const parts = [];
+  if (options.size && node.size != null) parts.push(formatSize(node.size));
+  if (options.lines && node.lines !== undefined) {
+    if (node.lines !== null) parts.push(plural(node.lines, "line"));
+    else parts.push(node.isDirectory ? "0 lines" : "binary");
+  }
+  if (options.count && node.isDirectory && node.files != null) {
+    if (node.folders) parts.push(plural(node.folders, "folder"));
+    parts.push(plural(node.files, "file"));
+  }
+  if (options.mtime && node.mtime) parts.push(formatMtime(node.mtime));
+  return parts.length ? `  (${parts.join(", ")})` : "";
+}
+
+function renderLines(nodes, prefix, lines, chars, options) {
+  nodes.forEach((node, index) => {
+    const isLast = index === nodes.length - 1;
+    lines.push(
+      prefix + (isLast ? chars.last : chars.branch) + displayName(node) + annotation(node, options)
+    );
+    if (node.isDirectory) {
+      const childPrefix = prefix + (isLast ? chars.space : chars.pipe);
+      renderLines(node.children, childPrefix, lines, chars, options);
+    }
+  });
+}
+
+// Totals for the whole scan, then one row per extension, largest first
+function renderSummary(root, options) {
+  const totals = [
+    plural(root.folders, "folder"),
+    plural(root.files, "file"),
+    formatSize(root.size),
+  ];
+  if (options.lines) totals.push(plural(root.lines || 0, "line"));
+  const lines = ["", totals.join(", ")];
+
+  const rows = (root.extensions || []).map((e) => [
+    e.extension || "(none)",
+    plural(e.files, "file"),
+    formatSize(e.size),
+    ...(options.lines ? [e.lines === null ? "" : plural(e.lines, "line")] : []),
+  ]);
+  const widths = (rows[0] || []).map((_, i) => Math.max(...rows.map((r) => r[i].length)));
+  for (const row of rows) {
+    const cells = row.map((cell, i) =>
+      i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])
+    );
+    lines.push(`  ${cells.join("  ")}`.trimEnd());
+  }
+  return lines;
+}
+
+function renderText(root, chars, options) {
+  const lines = [`${root.name}/${annotation(root, options)}`];
+  renderLines(root.children, "", lines, chars, options);
+  if (options.summary && root.files != null) lines.push(...renderSummary(root, options));
+  return lines.join("\n") + "\n";
+}
+
+// The structure object createCustomWithContent takes: folders are objects,
+// files are null, or whatever fileContent(node) returns. The root folder
+// itself is not included. Symlinks, followed or not, stay symlinks (null,
+// with the target under SYMLINKS).
+export function nodesToStructure(root, fileContent = () => null) {
+  const structure = {};
+  for (const node of root.children) {
+    if (node.symlink) {
+      structure[node.name] = null;
+      setSymlink(structure, node.name, node.symlink);
+    } else {
+      structure[node.name] = node.isDirectory
+        ? nodesToStructure(node, fileContent)
+        : fileContent(node);
+    }
+  }
+  return structure;
+}
+
+// A nested list that `--from` reads back
+function renderMarkdown(root) {
+  const lines = [];
+  const walk = (node, depth) => {
+    lines.push(`${"  ".repeat(depth)}- ${displayName(node)}`);
+    if (node.isDirectory) node.children.forEach((child) => walk(child, depth + 1));
+  };
+  walk(root, 0);
+  return lines.join("\n") + "\n";
+}
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function renderHtml(root) {
+  const lines = [];
+  const walk = (node, indent) => {
+    const pad = "  ".repeat(indent);
+    const type = node.symlink ? "symlink" : node.isDirectory ? "directory" : "file";
+    const label = escapeHtml(displayName(node));
+    if (!node.isDirectory || !node.children.length) {
+      lines.push(`${pad}<li class="${type}">${label}</li>`);
+      return;
+    }
+    lines.push(`${pad}<li class="${type}">${label}`, `${pad}  <ul>`);
+    node.children.forEach((child) => walk(child, indent + 2));
+    lines.push(`${pad}  </ul>`, `${pad}</li>`);
+  };
+
+  lines.push('<ul class="skeldir-tree">');
+  walk(root, 1);
+  lines.push("</ul>");
+  return lines.join("\n") + "\n";
+}
+
+function renderMermaid(root) {
+  const lines = ["flowchart LR"];
+  let count = 0;
+  const walk = (node, parentId) => {
+    const id = `n${count++}`;
+    const label = displayName(node).replace(/"/g, "#quot;");
+    lines.push(`  ${id}["${label}"]`);
+    if (parentId) lines.push(`  ${parentId} --> ${id}`);
+    if (node.isDirectory) node.children.forEach((child) => walk(child, id));
+  };
+  walk(root, null);
+  return lines.join("\n") + "\n";
+}
+
+// `options` (size, lines, mtime, count, summary) annotate the Unicode and
+// ASCII trees; the other formats are meant to be read back or embedded and
+// stay plain
+export function formatTree(root, format = "unicode", options = {}) {
+  switch (format) {
+    case "unicode":
+    case "ascii":
+      return renderText(root, CHARSETS[format], options);
+    case "json": {
+      // A clean scan stays a plain structure
+      const structure = serializeStructure(nodesToStructure(root));
+      if (root.errors && root.errors.length) structure[ERRORS_KEY] = root.errors;
+      return JSON.stringify(structure, null, 2) + "\n";
+    }
+    case "markdown":
+      return renderMarkdown(root);
+    case "html":
+      return renderHtml(root);
+    case "mermaid":
+      return renderMermaid(root);
+    default:
+      throw new Error(
+        `Unknown tree format '${format}'. Use one of: ${TREE_FORMATS.join(", ")}`
+      );
+  }
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from "vitest";
+import { formatTree, formatSize, formatMtime, nodesToStructure } from "./treeFormats.js";
+import { parseTree, getSymlink } from "./parser.js";
+import { parseStructure } from "./formats.js";
+
+describe("treeFormats", () => {
+  const file = (name) => ({ name, isDirectory: false });
+  const dir = (name, children = []) => ({ name, isDirectory: true, children });
+  const root = dir("app", [
+    dir("src", [dir("lib", [file("a&b.js")]), file("index.js")]),
+    dir("docs"),
+    file("README.md"),
+  ]);
+
+  describe("nodesToStructure", () => {
+    it("returns the structure createCustomWithContent takes", () => {
+      expect(nodesToStructure(root)).toEqual({
+        src: { lib: { "a&b.js": null }, "index.js": null },
+        docs: {},
+        "README.md": null,
+      });
+    });
+  });
+
+  describe("symlinks", () => {
+    const linked = dir("app", [
+      { ...file("config"), symlink: "../shared" },
+      { ...dir("up"), symlink: "..", cycle: true },
+    ]);
+
+    it("renders them as name -> target, which parseTree reads back", () => {
+      const text = formatTree(linked, "ascii");
+      expect(text).toBe(
+        "app/\n|-- config -> ../shared\n`-- up -> ..  [recursive, not followed]\n"
+      );
+      const structure = parseTree(text.split("\n"));
+      expect(getSymlink(structure, "config")).toBe("../shared");
+      expect(getSymlink(structure, "up")).toBe("..");
+    });
+
+    it("keeps them as symlinks in the structure", () => {
+      const structure = nodesToStructure(linked);
+      expect(structure).toMatchObject({ config: null, up: null });
+      expect(getSymlink(structure, "up")).toBe("..");
+    });
+
+    it("writes them as 'name -> target' keys in JSON", () => {
+      const json = JSON.parse(formatTree(linked, "json"));
+      expect(json).toEqual({ "config -> ../shared": null, "up -> ..": null });
+      expect(getSymlink(parseStructure(JSON.stringify(json), "json"), "config")).toBe("../shared");
+    });
+  });
+
+  describe("formatTree", () => {
+    it("renders Unicode and ASCII trees", () => {
+      expect(formatTree(root)).toBe(
+        "app/\n├── src/\n│   ├── lib/\n│   │   └── a&b.js\n│   └── index.js\n├── docs/\n└── README.md\n"
+      );
+      expect(formatTree(root, "ascii")).toBe(
+        "app/\n|-- src/\n|   |-- lib/\n|   |   `-- a&b.js\n|   `-- index.js\n|-- docs/\n`-- README.md\n"
+      );
+    });
+
+    it("renders ASCII and Markdown that parse back to the same structure", () => {
+      const expected = nodesToStructure(root);
+      expect(parseTree(formatTree(root, "ascii").split("\n"))).toEqual(expected);
+      expect(parseStructure(formatTree(root, "markdown"), "markdown")).toEqual(expected);
+    });
+
+    it("renders JSON as a structure object", () => {
+      expect(JSON.parse(formatTree(root, "json"))).toEqual(nodesToStructure(root));
+    });
+
+    it("renders nested HTML lists with escaped names", () => {
+      const html = formatTree(dir("app", [dir("docs"), dir("lib", [file("a<b>.js")])]), "html");
+      expect(html).toBe(
+        [
+          '<ul class="skeldir-tree">',
+          '  <li class="directory">app/',
+          "    <ul>",
+          '      <li class="directory">docs/</li>',
+          '      <li class="directory">lib/',
+          "        <ul>",
+          '          <li class="file">a&lt;b&gt;.js</li>',
+          "        </ul>",
+          "      </li>",
+          "    </ul>",
+          "  </li>",
+          "</ul>",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("renders a Mermaid flowchart", () => {
+      expect(formatTree(dir("app", [dir("src", [file('say "hi".txt')])]), "mermaid")).toBe(
+        [
+          "flowchart LR",
+          '  n0["app/"]',
+          '  n1["src/"]',
+          "  n0 --> n1",
+          '  n2["say #quot;hi#quot;.txt"]',
+          "  n1 --> n2",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("annotates text trees with the requested stats only", () => {
+      const mtime = new Date(2026, 0, 2, 3, 4);
+      const stats = dir("app", [{ ...file("a.bin"), size: 2048, lines: null, mtime }]);
+      Object.assign(stats, { size: 2048, lines: null, files: 1, folders: 0, mtime });
+
+      expect(formatTree(stats, "ascii", { size: true, lines: true, mtime: true })).toBe(
+        "app/  (2.0 KB, 0 lines, 2026-01-02 03:04)\n`-- a.bin  (2.0 KB, binary, 2026-01-02 03:04)\n"
+      );
+      expect(formatTree(stats, "ascii", { count: true })).toBe("app/  (1 file)\n`-- a.bin\n");
+      expect(formatTree(stats, "markdown", { size: true })).toBe("- app/\n  - a.bin\n");
+    });
+
+    it("rejects unknown formats", () => {
+      expect(() => formatTree(root, "xml")).toThrow("Unknown tree format 'xml'");
+    });
+  });
+
+  describe("formatSize", () => {
+    it("uses binary units with one decimal", () => {
+      expect(formatSize(0)).toBe("0 B");
+      expect(formatSize(1023)).toBe("1023 B");
+      expect(formatSize(1536)).toBe("1.5 KB");
+      expect(formatSize(5 * 1024 ** 3)).toBe("5.0 GB");
+    });
+  });
+
+  describe("formatMtime", () => {
+    it("formats local time to the minute", () => {
+      expect(formatMtime(new Date(2026, 10, 9, 14, 5, 59))).toBe("2026-11-09 14:05");
+    });
+  });
+});
@@ -1,7 +1,15 @@
 import fs from "fs";
 import path from "path";
+import {
+  globToRegExp,
+  loadIgnoreRules,
+  loadParentIgnoreRules,
+  isIgnoredByRules,
+} from "./ignore.js";
+import { formatTree, nodesToStructure } from "./treeFormats.js";
+import { getSymlink } from "./parser.js";
 
-const DEFAULT_IGNORE_PATTERNS = [
+export const DEFAULT_IGNORE_PATTERNS = [
   "node_modules",
   ".git",
   "dist",
@@ -16,89 +24,50 @@ const DEFAULT_IGNORE_PATTERNS = [
   ".idea",
 ];
 
-function shouldIgnore(filePath, ignorePatterns) {
-  const fileName = path.basename(filePath);
+// Patterns without a "/" match a name at any depth; patterns with one match
+// the path from the scanned folder, e.g. "src/**/*.test.js"
+function shouldIgnore(relativePath, ignorePatterns) {
   const patterns = ignorePatterns || DEFAULT_IGNORE_PATTERNS;
-
-  return patterns.some((pattern) => {
-    // Support both exact match and wildcard patterns
-    if (pattern.includes("*")) {
-      const regex = new RegExp(
-        "^" + pattern.replace(/\*/g, ".*").replace(/\?/g, ".") + "$"
-      );
-      return regex.test(fileName);
-    }
-    return fileName === pattern;
-  });
+  return patterns.some((pattern) => globToRegExp(pattern).test(relativePath));
 }
 
-function getDirectoryStructure(
-  dirPath,
-  depth = 0,
-  maxDepth = Infinity,
-  includeHidden = false,
-  ignorePatterns,
-  isLast = true,
-  prefix = ""
-) {
-  if (depth > maxDepth) return "";
-
-  let result = "";
-  try {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+export const SORT_KEYS = ["name", "natural", "size", "mtime", "ext", "none"];
 
-    // Filter out hidden files if not included
-    let filteredEntries = entries.filter((entry) => {
-      if (!includeHidden && entry.name.startsWith(".")) return false;
-      if (shouldIgnore(entry.name, ignorePatterns)) return false;
-      return true;
-    });
+const naturalCollator = new Intl.Collator(undefined, { numeric: true });
+const byName = (a, b) => a.name.localeCompare(b.name);
+const extensionOf = (name) => path.extname(name).toLowerCase();
 
-    // Sort: directories first, then files
-    filteredEntries.sort((a, b) => {
-      if (a.isDirectory() && !b.isDirectory()) return -1;
-      if (!a.isDirectory() && b.isDirectory()) return 1;
-      return a.name.localeCompare(b.name);
-    });
+const SORTERS = {
+  name: byName,
+  // "file2" before "file10"
+  natural: (a, b) => naturalCollator.compare(a.name, b.name),
+  // Largest and newest first, like `ls -S` and `ls -t`
+  size: (a, b) => b.size - a.size || byName(a, b),
+  mtime: (a, b) => b.mtime - a.mtime || byName(a, b),
+  ext: (a, b) => extensionOf(a.name).localeCompare(extensionOf(b.name)) || byName(a, b),
+  // Array.prototype.sort is stable, so this keeps the readdir order
+  none: () => 0,
+};
 
-    filteredEntries.forEach((entry, index) => {
-      const isLastEntry = index === filteredEntries.length - 1;
-      const connector = isLastEntry ? "└── " : "├── ";
-      const entryPath = path.join(dirPath, entry.name);
-
-      result += prefix + connector + entry.name;
-
-      if (entry.isDirectory()) {
-        result += "/\n";
-        const newPrefix = prefix + (isLastEntry ? "    " : "│   ");
-        result += getDirectoryStructure(
-          entryPath,
-          depth + 1,
-          maxDepth,
-          includeHidden,
-          ignorePatterns,
-          isLastEntry,
-          newPrefix
-        );
-      } else {
-        result += "\n";
-      }
-    });
-  } catch (error) {
-    // Skip directories we can't read
+// Compares nodes ({ name, isDirectory, size, mtime }); "size" and "mtime"
+// need the stats scanDirectory collects. Folders go first unless dirsFirst
+// is false, which is the default for "none"; reverse doesn't move them.
+export function createComparator(options = {}) {
+  const { sort = "name", reverse = false, dirsFirst = sort !== "none" } = options;
+  const compare = SORTERS[sort];
+  if (!compare) {
+    throw new Error(`Unknown sort '${sort}'. Use one of: ${SORT_KEYS.join(", ")}`);
   }
 
-  return result;
+  return (a, b) => {
+    if (dirsFirst && a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+    return reverse ? -compare(a, b) : compare(a, b);
+  };
 }
 
-export function generateTree(dirPath = ".", options = {}) {
-  const {
-    includeHidden = false,
-    maxDepth = Infinity,
-    outputPath,
-    ignorePatterns = DEFAULT_IGNORE_PATTERNS,
-  } = options;
+const compareEntries = createComparator();
 
+function resolveDirectory(dirPath) {
   const resolvedPath = path.resolve(dirPath);
 
   if (!fs.existsSync(resolvedPath)) {
@@ -109,19 +78,246 @@ export function generateTree(dirPath = ".", options = {}) {
   if (!stats.isDirectory()) {
     throw new Error(`Not a directory: ${resolvedPath}`);
   }
+  return resolvedPath;
+}
+
+const BINARY_SNIFF_BYTES = 8000;
 
-  const dirName = path.basename(resolvedPath);
-  let treeOutput = `${dirName}/\n`;
+// Counts newlines like `wc -l`, plus a last line without one; null for
+// binary files
+function countLines(filePath) {
+  const content = fs.readFileSync(filePath);
+  if (content.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return null;
 
-  treeOutput += getDirectoryStructure(
+  let count = 0;
+  for (let i = content.indexOf(10); i !== -1; i = content.indexOf(10, i + 1)) count++;
+  if (content.length && content[content.length - 1] !== 10) count++;
+  return count;
+}
+
+function sumNodes(nodes, ownMtime) {
+  const totals = { size: 0, mtime: ownMtime, files: 0, folders: 0, lines: null };
+  for (const node of nodes) {
+    totals.size += node.size;
+    if (node.mtime > totals.mtime) totals.mtime = node.mtime;
+    if (node.lines != null) totals.lines = (totals.lines || 0) + node.lines;
+    if (node.isDirectory) {
+      totals.folders += 1 + node.folders;
+      totals.files += node.files;
+    } else {
+      totals.files += 1;
+    }
+  }
+  return totals;
+}
+
+// Largest first, files without an extension (including dotfiles) as ""
+function summarizeExtensions(fileNodes) {
+  const byExtension = new Map();
+  for (const node of fileNodes) {
+    const extension = path.extname(node.name).toLowerCase();
+    const entry = byExtension.get(extension) || { extension, files: 0, size: 0, lines: null };
+    entry.files += 1;
+    entry.size += node.size;
+    if (node.lines != null) entry.lines = (entry.lines || 0) + node.lines;
+    byExtension.set(extension, entry);
+  }
+  return [...byExtension.values()].sort(
+    (a, b) => b.size - a.size || a.extension.localeCompare(b.extension)
+  );
+}
+
+const READ_ERRORS = {
+  EACCES: "permission denied",
+  EPERM: "permission denied",
+  ENOENT: "not found",
+  ENOTDIR: "not a directory",
+  ELOOP: "too many levels of symbolic links",
+  EIO: "input/output error",
+};
+
+export function describeReadError(error) {
+  return READ_ERRORS[error.code] || error.message;
+}
+
+// Reads a directory into nodes ({ name, path, isDirectory, children }) for
+// the tree renderers; `path` is relative to the scanned folder, "/"-separated.
+//   - gitignore: .gitignore and .skeldirignore files decide what is left out
+//     instead of DEFAULT_IGNORE_PATTERNS, so the tree matches what git tracks
+//   - include: only files matching one of these globs (or inside a folder
+//     that matches) are kept, and folders left empty are dropped
+//   - onlyDirs: files are left out
+//   - stats: nodes get `size` and `mtime`, and folders the totals of what
+//     they contain (`size`, latest `mtime`, `files`, `folders`). Totals count
+//     files below maxDepth and those onlyDirs hides; the root also gets an
+//     `extensions` breakdown.
+//   - lines: also counts lines (`lines`, null for binary files)
+//   - sort, reverse, dirsFirst: see createComparator; sorting by size or
+//     mtime turns on stats, and folders sort by their totals
+// Symlinks get a `symlink` target and are listed, not followed, unless
+// followSymlinks is set. A followed link back to one of its own parent
+// folders (same device and inode) is marked `cycle` and not walked.
+// Anything that can't be read is kept, with an `error` ("permission
+// denied"), and listed in the root's `errors` ({ path, error, code }).
+export function scanDirectory(dirPath = ".", options = {}) {
+  const {
+    includeHidden = false,
+    maxDepth = Infinity,
+    gitignore = false,
+    ignorePatterns = gitignore ? [] : DEFAULT_IGNORE_PATTERNS,
+    include = [],
+    onlyDirs = false,
+    lines = false,
+    sort = "name",
+    reverse = false,
+    dirsFirst,
+    followSymlinks = false,
+  } = options;
+  const stats = options.stats || lines || sort === "size" || sort === "mtime";
+  const compare = createComparator({ sort, reverse, dirsFirst });
+
+  const resolvedPath = resolveDirectory(dirPath);
+  const ignoreMatchers = ignorePatterns.map(globToRegExp);
+  const includeMatchers = include.map(globToRegExp);
+  const isIncluded = (relativePath) => includeMatchers.some((m) => m.test(relativePath));
+  const fileNodes = [];
+  const errors = [];
+  const recordError = (relativePath, error) => {
+    const message = describeReadError(error);
+    errors.push({ path: relativePath || ".", error: message, code: error.code || null });
+    return message;
+  };
+
+  const walk = (currentPath, relativeDir, depth, ignoreRules, included, ancestors) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(currentPath, { withFileTypes: true });
+    } catch (error) {
+      return { children: [], error: recordError(relativeDir, error) };
+    }
+    // Each folder's own ignore files add to its parents'
+    const rules = ignoreRules && [...ignoreRules, ...loadIgnoreRules(currentPath)];
+
+    const children = [];
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const fullPath = path.join(currentPath, entry.name);
+      let isDirectory = entry.isDirectory();
+      let symlink = null;
+      // Stats of the link target, when followed; null for a broken link
+      let target = null;
+      let info = null;
+      let statError = null;
+      try {
+        if (entry.isSymbolicLink()) {
+          symlink = fs.readlinkSync(fullPath);
+          if (followSymlinks) {
+            target = fs.statSync(fullPath, { throwIfNoEntry: false }) || null;
+            isDirectory = Boolean(target && target.isDirectory());
+          }
+        }
+        info = target || (stats || followSymlinks ? fs.lstatSync(fullPath) : null);
+      } catch (error) {
+        statError = error;
+      }
+
+      if (!includeHidden && entry.name.startsWith(".")) continue;
+      if (ignoreMatchers.some((m) => m.test(relativePath))) continue;
+      if (rules && (entry.name === ".git" || isIgnoredByRules(rules, fullPath, isDirectory))) {
+        continue;
+      }
+
+      const matched = included || isIncluded(relativePath);
+      const mtime = info ? info.mtime : null;
+      const node = { name: entry.name, path: relativePath, isDirectory };
+      if (symlink) node.symlink = symlink;
+
+      if (isDirectory) {
+        const id = followSymlinks && info && `${info.dev}:${info.ino}`;
+        if (id && ancestors.has(id)) {
+          if (!matched) continue;
+          Object.assign(node, { cycle: true, children: [] });
+          if (stats) Object.assign(node, sumNodes([], mtime));
+          children.push(node);
+          continue;
+        }
+
+        // Folders past maxDepth are still walked for their totals
+        const shown = depth < maxDepth;
+        const within = id ? new Set(ancestors).add(id) : ancestors;
+        const nested =
+          (shown || stats) && !statError
+            ? walk(fullPath, relativePath, depth + 1, rules, matched, within)
+            : { children: [], error: null };
+        const error = statError ? recordError(relativePath, statError) : nested.error;
+        const visible = shown ? nested.children : [];
+        // An unreadable folder might hold matches, so it stays in view
+        if (!matched && !visible.length && !error) continue;
+        node.children = visible;
+        if (error) node.error = error;
+        if (stats) Object.assign(node, sumNodes(nested.children, mtime));
+        children.push(node);
+      } else if (matched) {
+        if (statError) node.error = recordError(relativePath, statError);
+        if (stats) {
+          node.size = info ? info.size : 0;
+          node.mtime = mtime;
+          // An unfollowed link has no lines of its own
+          if (lines && info && !(symlink && !target)) {
+            try {
+              node.lines = countLines(fullPath);
+            } catch (error) {
+              node.error = recordError(relativePath, error);
+            }
+          }
+          fileNodes.push(node);
+        }
+        children.push(node);
+      }
+    }
+
+    children.sort(compare);
+    return { children, error: null };
+  };
+
+  // Files are dropped only after the walk, so they still keep their
+  // folders from being pruned by `include`
+  const dropFiles = (nodes) =>
+    nodes
+      .filter((node) => node.isDirectory)
+      .map((node) => ({ ...node, children: dropFiles(node.children) }));
+
+  const rootInfo = fs.statSync(resolvedPath);
+  const { children, error } = walk(
     resolvedPath,
+    "",
     0,
-    maxDepth,
-    includeHidden,
-    ignorePatterns,
-    true,
-    ""
+    gitignore ? loadParentIgnoreRules(resolvedPath) : null,
+    includeMatchers.length === 0,
+    new Set(followSymlinks ? [`${rootInfo.dev}:${rootInfo.ino}`] : [])
   );
+  const root = {
+    name: path.basename(resolvedPath),
+    path: "",
+    isDirectory: true,
+    children: onlyDirs ? dropFiles(children) : children,
+    errors,
+  };
+  if (error) root.error = error;
+  if (stats) {
+    Object.assign(root, sumNodes(children, rootInfo.mtime), {
+      extensions: summarizeExtensions(fileNodes),
+    });
+  }
+  return root;
+}
+
+// `format` is any text format from TREE_FORMATS (default "unicode"); the
+// size/lines/mtime/count/summary options annotate the Unicode and ASCII trees
+export function generateTree(dirPath = ".", options = {}) {
+  const { outputPath, format = "unicode", size, lines, mtime, count, summary } = options;
+  const stats = Boolean(size || lines || mtime || count || summary);
+  const treeOutput = formatTree(scanDirectory(dirPath, { ...options, stats }), format, options);
 
   if (outputPath) {
     fs.writeFileSync(outputPath, treeOutput, "utf8");
@@ -130,53 +326,155 @@ export function generateTree(dirPath = ".", options = {}) {
   return treeOutput;
 }
 
+// Folders sort by their own entry here, not by what they contain
 export function generateTreeForSkeldir(dirPath = ".", options = {}) {
   const {
     includeHidden = false,
     maxDepth = Infinity,
     ignorePatterns = DEFAULT_IGNORE_PATTERNS,
+    sort = "name",
+    reverse = false,
+    dirsFirst,
   } = options;
 
   const resolvedPath = path.resolve(dirPath);
+  const compare = createComparator({ sort, reverse, dirsFirst });
+  const needsStats = sort === "size" || sort === "mtime";
 
-  const buildTree = (currentPath, currentDepth, parentPrefix = "") => {
-    if (currentDepth > maxDepth) return [];
-
-    const lines = [];
+  const readEntries = (dirPath) => {
     try {
-      const entries = fs.readdirSync(currentPath, { withFileTypes: true });
+      return { entries: fs.readdirSync(dirPath, { withFileTypes: true }) };
+    } catch (error) {
+      return { entries: [], error: describeReadError(error) };
+    }
+  };
 
-      let filteredEntries = entries.filter((entry) => {
+  // Unreadable folders are marked on their own line, "secrets/ [permission denied]"
+  const buildTree = (entries, currentPath, currentDepth, parentPrefix = "") => {
+    const lines = [];
+    const filteredEntries = entries
+      .filter((entry) => {
         if (!includeHidden && entry.name.startsWith(".")) return false;
         if (shouldIgnore(entry.name, ignorePatterns)) return false;
         return true;
-      });
-
-      filteredEntries.sort((a, b) => {
-        if (a.isDirectory() && !b.isDirectory()) return -1;
-        if (!a.isDirectory() && b.isDirectory()) return 1;
-        return a.name.localeCompare(b.name);
-      });
+      })
+      .map((entry) => {
+        const item = { name: entry.name, isDirectory: entry.isDirectory() };
+        if (needsStats) {
+          const info = fs.lstatSync(path.join(currentPath, entry.name), { throwIfNoEntry: false });
+          Object.assign(item, { size: info ? info.size : 0, mtime: info ? info.mtime : null });
+        }
+        return item;
+      })
+      .sort(compare);
 
-      filteredEntries.forEach((entry, index) => {
-        const isLast = index === filteredEntries.length - 1;
-        const prefix = parentPrefix + (isLast ? "└── " : "├── ");
-        const entryPath = path.join(currentPath, entry.name);
-        const displayName = entry.name + (entry.isDirectory() ? "/" : "");
+    filteredEntries.forEach((entry, index) => {
+      const isLast = index === filteredEntries.length - 1;
+      const prefix = parentPrefix + (isLast ? "└── " : "├── ");
+      const entryPath = path.join(currentPath, entry.name);
+      const displayName = entry.name + (entry.isDirectory ? "/" : "");
 
+      if (!entry.isDirectory || currentDepth >= maxDepth) {
         lines.push(prefix + displayName);
+        return;
+      }
 
-        if (entry.isDirectory()) {
-          const childPrefix = parentPrefix + (isLast ? "    " : "│   ");
-          lines.push(...buildTree(entryPath, currentDepth + 1, childPrefix));
-        }
-      });
-    } catch (error) {
-      // Skip unreadable directories
-    }
+      const nested = readEntries(entryPath);
+      lines.push(prefix + displayName + (nested.error ? ` [${nested.error}]` : ""));
+      const childPrefix = parentPrefix + (isLast ? "    " : "│   ");
+      lines.push(...buildTree(nested.entries, entryPath, currentDepth + 1, childPrefix));
+    });
 
     return lines;
   };
 
-  return buildTree(resolvedPath, 0);
+  const root = readEntries(resolvedPath);
+  if (root.error) throw new Error(`Can't read ${resolvedPath}: ${root.error}`);
+  return buildTree(root.entries, resolvedPath, 0);
+}
+
+export const DEFAULT_MAX_FILE_SIZE = 100 * 1024;
+
+// Same heuristic git uses: a NUL byte near the start means binary
+function isBinaryFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, BINARY_SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Builds the structure object createCustomWithContent consumes, with text
+// file contents captured. The directory is read by scanDirectory, so it
+// takes the same options. Binary and oversized files become placeholders
+// (null) and are listed in `skipped`; anything that can't be read is kept
+// as a placeholder or an empty folder and listed in `errors`.
+export function readDirectoryStructure(dirPath = ".", options = {}) {
+  const { maxFileSize = DEFAULT_MAX_FILE_SIZE } = options;
+  const resolvedPath = path.resolve(dirPath);
+  const root = scanDirectory(resolvedPath, { ...options, onlyDirs: false, followSymlinks: false });
+  if (root.error) throw new Error(`Can't read ${resolvedPath}: ${root.error}`);
+
+  const skipped = [];
+  const { errors } = root;
+  const readContent = (node) => {
+    if (node.error) return null;
+    const filePath = path.join(resolvedPath, node.path);
+    try {
+      if (fs.statSync(filePath).size > maxFileSize) {
+        skipped.push({ path: node.path, reason: `larger than ${maxFileSize} bytes` });
+        return null;
+      }
+      if (isBinaryFile(filePath)) {
+        skipped.push({ path: node.path, reason: "binary" });
+        return null;
+      }
+      return fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      errors.push({ path: node.path, error: describeReadError(error), code: error.code || null });
+      return null;
+    }
+  };
+
+  return { structure: nodesToStructure(root, readContent), skipped, errors };
+}
+
+const isFolder = (value) => value !== null && typeof value === "object";
+
+function structureToNodes(structure, parentPath) {
+  return Object.keys(structure)
+    .map((key) => {
+      const entryPath = parentPath ? `${parentPath}/${key}` : key;
+      const node = { name: key, path: entryPath, isDirectory: isFolder(structure[key]) };
+      if (node.isDirectory) node.children = structureToNodes(structure[key], entryPath);
+      const target = getSymlink(structure, key);
+      if (target) node.symlink = target;
+      return node;
+    })
+    .sort(compareEntries);
+}
+
+// Draws a structure object the way generateTree draws a directory, so a
+// template can be compared line by line with `skeldir tree` of a project
+// created from it.
+export function renderStructureTree(structure, rootName) {
+  return formatTree({ name: rootName, children: structureToNodes(structure, "") });
+}
+
+export function countStructure(structure) {
+  const counts = { files: 0, folders: 0 };
+  for (const key in structure) {
+    if (isFolder(structure[key])) {
+      counts.folders++;
+      const nested = countStructure(structure[key]);
+      counts.files += nested.files;
+      counts.folders += nested.folders;
+    } else {
+      counts.files++;
+    }
+  }
+  return counts;
 }
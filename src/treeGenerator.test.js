@@ -0,0 +1,409 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import {
+  generateTree,
+  scanDirectory,
+  DEFAULT_IGNORE_PATTERNS,
+  readDirectoryStructure,
+  renderStructureTree,
+  countStructure,
+  createComparator,
+  generateTreeForSkeldir,
+} from "./treeGenerator.js";
+import { formatTree } from "./treeFormats.js";
+import { getSymlink } from "./parser.js";
+
+describe("treeGenerator", () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), "skeldir-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe("readDirectoryStructure", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, "src", "lib"), { recursive: true });
+      fs.mkdirSync(path.join(testDir, "node_modules", "pkg"), { recursive: true });
+      fs.writeFileSync(path.join(testDir, "src", "index.js"), "console.log(1);\n");
+      fs.writeFileSync(path.join(testDir, "src", "lib", "empty.js"), "");
+      fs.writeFileSync(path.join(testDir, ".env"), "SECRET=1");
+      fs.writeFileSync(path.join(testDir, "README.md"), "# Starter\n");
+    });
+
+    it("captures folders and text file contents", () => {
+      const { structure, skipped } = readDirectoryStructure(testDir);
+      expect(structure).toEqual({
+        src: { lib: { "empty.js": "" }, "index.js": "console.log(1);\n" },
+        "README.md": "# Starter\n",
+      });
+      expect(skipped).toEqual([]);
+    });
+
+    it("follows the tree ignore rules", () => {
+      const { structure } = readDirectoryStructure(testDir, {
+        includeHidden: true,
+        ignorePatterns: ["lib", "*.md"],
+      });
+      expect(structure).toHaveProperty(".env", "SECRET=1");
+      expect(structure).toHaveProperty("node_modules");
+      expect(structure.src).not.toHaveProperty("lib");
+      expect(structure).not.toHaveProperty("README.md");
+    });
+
+    it("stores binary and oversized files as placeholders", () => {
+      fs.writeFileSync(path.join(testDir, "logo.png"), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+      fs.writeFileSync(path.join(testDir, "big.txt"), "x".repeat(2048));
+
+      const { structure, skipped } = readDirectoryStructure(testDir, { maxFileSize: 1024 });
+      expect(structure["logo.png"]).toBeNull();
+      expect(structure["big.txt"]).toBeNull();
+      expect(skipped.map((s) => s.path).sort()).toEqual(["big.txt", "logo.png"]);
+    });
+
+    it("keeps symlinks as links", () => {
+      fs.symlinkSync("src", path.join(testDir, "current"));
+      const { structure } = readDirectoryStructure(testDir);
+      expect(structure.current).toBeNull();
+      expect(getSymlink(structure, "current")).toBe("src");
+    });
+
+    it("takes the tree's gitignore and include options", () => {
+      fs.writeFileSync(path.join(testDir, ".gitignore"), "lib/\n");
+      const { structure } = readDirectoryStructure(testDir, {
+        gitignore: true,
+        include: ["src/**"],
+      });
+      expect(structure).toEqual({ src: { "index.js": "console.log(1);\n" } });
+    });
+
+    it("throws for a missing directory", () => {
+      expect(() => readDirectoryStructure(path.join(testDir, "nope"))).toThrow(
+        /Directory not found/
+      );
+    });
+  });
+
+  describe("renderStructureTree", () => {
+    const structure = { "README.md": "# x", src: { "index.js": null, lib: {} } };
+
+    it("draws a structure like generateTree, folders first", () => {
+      expect(renderStructureTree(structure, "svc")).toBe(
+        ["svc/", "├── src/", "│   ├── lib/", "│   └── index.js", "└── README.md", ""].join("\n")
+      );
+    });
+
+    it("counts files and folders", () => {
+      expect(countStructure(structure)).toEqual({ files: 2, folders: 2 });
+    });
+  });
+
+  describe("generateTree with gitignore", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, ".git"));
+      fs.mkdirSync(path.join(testDir, "src", "generated"), { recursive: true });
+      fs.mkdirSync(path.join(testDir, "bin"));
+      fs.writeFileSync(path.join(testDir, "src", "index.js"), "");
+      fs.writeFileSync(path.join(testDir, "src", "debug.log"), "");
+      fs.writeFileSync(path.join(testDir, "src", "keep.log"), "");
+      fs.writeFileSync(path.join(testDir, "bin", "cli.js"), "");
+      fs.writeFileSync(path.join(testDir, ".gitignore"), "*.log\n!keep.log\n");
+      fs.writeFileSync(path.join(testDir, "src", ".gitignore"), "/generated/\n");
+    });
+
+    it("follows the ignore files instead of the default patterns", () => {
+      const tree = generateTree(testDir, { gitignore: true, includeHidden: true });
+      const name = path.basename(testDir);
+      expect(tree).toBe(
+        [
+          `${name}/`,
+          "├── bin/",
+          "│   └── cli.js",
+          "├── src/",
+          "│   ├── .gitignore",
+          "│   ├── index.js",
+          "│   └── keep.log",
+          "└── .gitignore",
+          "",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("scanDirectory filters", () => {
+    beforeEach(() => {
+      for (const dir of ["src/a/b", "src/c", "node_modules/x", "docs/gen", "tmp"]) {
+        fs.mkdirSync(path.join(testDir, dir), { recursive: true });
+      }
+      for (const file of ["src/a/b/x.test.js", "src/a/y.js", "src/c/z.js", "docs/gen/g.md", "docs/r.md"]) {
+        fs.writeFileSync(path.join(testDir, file), "");
+      }
+    });
+
+    const paths = (node) =>
+      node.children.flatMap((child) => [child.path, ...(child.isDirectory ? paths(child) : [])]);
+
+    it("matches ignore patterns with a slash against the path", () => {
+      const root = scanDirectory(testDir, {
+        ignorePatterns: [...DEFAULT_IGNORE_PATTERNS, "docs/gen", "tmp"],
+      });
+      expect(paths(root)).toEqual([
+        "docs",
+        "docs/r.md",
+        "src",
+        "src/a",
+        "src/a/b",
+        "src/a/b/x.test.js",
+        "src/a/y.js",
+        "src/c",
+        "src/c/z.js",
+      ]);
+    });
+
+    it("keeps only included files and the folders leading to them", () => {
+      const root = scanDirectory(testDir, { include: ["src/**/*.test.js", "docs"] });
+      expect(paths(root)).toEqual([
+        "docs",
+        "docs/gen",
+        "docs/gen/g.md",
+        "docs/r.md",
+        "src",
+        "src/a",
+        "src/a/b",
+        "src/a/b/x.test.js",
+      ]);
+    });
+
+    it("shows folders only, still pruned by include", () => {
+      const root = scanDirectory(testDir, { onlyDirs: true, include: ["*.md"] });
+      expect(paths(root)).toEqual(["docs", "docs/gen"]);
+    });
+  });
+
+  describe("scanDirectory stats", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, "src", "lib"), { recursive: true });
+      fs.writeFileSync(path.join(testDir, "src", "index.js"), "a\nb\n");
+      fs.writeFileSync(path.join(testDir, "src", "lib", "util.js"), "one\ntwo\nthree");
+      fs.writeFileSync(path.join(testDir, "logo.png"), Buffer.from([137, 80, 0, 1]));
+      fs.writeFileSync(path.join(testDir, "Makefile"), "all:\n");
+    });
+
+    it("adds sizes, line counts and folder totals", () => {
+      const root = scanDirectory(testDir, { lines: true });
+      const src = root.children[0];
+      expect(src).toMatchObject({ name: "src", size: 17, lines: 5, files: 2, folders: 1 });
+      expect(src.children[1]).toMatchObject({ name: "index.js", size: 4, lines: 2 });
+      expect(root.children.find((n) => n.name === "logo.png").lines).toBeNull();
+      expect(root).toMatchObject({ size: 26, lines: 6, files: 4, folders: 2 });
+      expect(root.mtime).toBeInstanceOf(Date);
+    });
+
+    it("breaks the root totals down by extension, largest first", () => {
+      expect(scanDirectory(testDir, { stats: true }).extensions).toEqual([
+        { extension: ".js", files: 2, size: 17, lines: null },
+        { extension: "", files: 1, size: 5, lines: null },
+        { extension: ".png", files: 1, size: 4, lines: null },
+      ]);
+    });
+
+    it("counts what maxDepth and onlyDirs leave out of the tree", () => {
+      const root = scanDirectory(testDir, { stats: true, maxDepth: 0, onlyDirs: true });
+      expect(root.children).toEqual([
+        expect.objectContaining({ name: "src", children: [], size: 17, files: 2, folders: 1 }),
+      ]);
+      expect(root).toMatchObject({ size: 26, files: 4 });
+    });
+  });
+
+  describe("createComparator", () => {
+    const file = (name, extra = {}) => ({ name, isDirectory: false, ...extra });
+    const dir = (name, extra = {}) => ({ name, isDirectory: true, ...extra });
+    const names = (nodes, options) =>
+      [...nodes].sort(createComparator(options)).map((n) => n.name);
+
+    it("sorts folders first, then by name", () => {
+      expect(names([file("b.js"), dir("z"), file("a.js"), dir("c")])).toEqual([
+        "c",
+        "z",
+        "a.js",
+        "b.js",
+      ]);
+    });
+
+    it("orders numbers naturally", () => {
+      const nodes = [file("ch10.md"), file("ch2.md"), file("ch1.md")];
+      expect(names(nodes)).toEqual(["ch1.md", "ch10.md", "ch2.md"]);
+      expect(names(nodes, { sort: "natural" })).toEqual(["ch1.md", "ch2.md", "ch10.md"]);
+    });
+
+    it("sorts by size, mtime and extension", () => {
+      const nodes = [
+        file("a.md", { size: 1, mtime: new Date(3) }),
+        file("b.js", { size: 9, mtime: new Date(1) }),
+        file("c.css", { size: 5, mtime: new Date(2) }),
+      ];
+      expect(names(nodes, { sort: "size" })).toEqual(["b.js", "c.css", "a.md"]);
+      expect(names(nodes, { sort: "mtime" })).toEqual(["a.md", "c.css", "b.js"]);
+      expect(names(nodes, { sort: "ext" })).toEqual(["c.css", "b.js", "a.md"]);
+    });
+
+    it("reverses the order but keeps folders first unless mixed", () => {
+      const nodes = [file("a.js"), dir("lib"), file("b.js")];
+      expect(names(nodes, { reverse: true })).toEqual(["lib", "b.js", "a.js"]);
+      expect(names(nodes, { reverse: true, dirsFirst: false })).toEqual(["lib", "b.js", "a.js"]);
+      expect(names(nodes, { dirsFirst: false })).toEqual(["a.js", "b.js", "lib"]);
+    });
+
+    it("keeps the original order for none", () => {
+      const nodes = [file("b.js"), dir("lib"), file("a.js")];
+      expect(names(nodes, { sort: "none" })).toEqual(["b.js", "lib", "a.js"]);
+      expect(names(nodes, { sort: "none", dirsFirst: true })).toEqual(["lib", "b.js", "a.js"]);
+    });
+
+    it("rejects unknown keys", () => {
+      expect(() => createComparator({ sort: "colour" })).toThrow("Unknown sort 'colour'");
+    });
+  });
+
+  describe("scanDirectory sorting", () => {
+    it("sorts folders by their totals when sorting by size", () => {
+      fs.mkdirSync(path.join(testDir, "small"));
+      fs.mkdirSync(path.join(testDir, "large"));
+      fs.writeFileSync(path.join(testDir, "small", "a.txt"), "x");
+      fs.writeFileSync(path.join(testDir, "large", "b.txt"), "x".repeat(100));
+      fs.writeFileSync(path.join(testDir, "medium.txt"), "x".repeat(50));
+
+      const root = scanDirectory(testDir, { sort: "size", dirsFirst: false });
+      expect(root.children.map((n) => n.name)).toEqual(["large", "medium.txt", "small"]);
+    });
+  });
+
+  describe("scanDirectory symlinks", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, "shared", "config"), { recursive: true });
+      fs.mkdirSync(path.join(testDir, "app"));
+      fs.writeFileSync(path.join(testDir, "shared", "config", "eslint.json"), "{}\n");
+      fs.symlinkSync("../shared/config", path.join(testDir, "app", "config"));
+      fs.symlinkSync("..", path.join(testDir, "app", "up"));
+      fs.symlinkSync("missing.txt", path.join(testDir, "app", "broken"));
+    });
+
+    it("lists symlinks with their targets without following them", () => {
+      expect(generateTree(testDir, { format: "ascii" }).split("\n").slice(1, 5)).toEqual([
+        "|-- app/",
+        "|   |-- broken -> missing.txt",
+        "|   |-- config -> ../shared/config",
+        "|   `-- up -> ..",
+      ]);
+    });
+
+    it("follows linked folders and stops at loops", () => {
+      const root = scanDirectory(testDir, { followSymlinks: true });
+      const [config, up] = root.children[0].children.filter((n) => n.isDirectory);
+      expect(config).toMatchObject({ name: "config", symlink: "../shared/config" });
+      expect(config.children.map((n) => n.name)).toEqual(["eslint.json"]);
+      expect(up).toMatchObject({ name: "up", cycle: true, children: [] });
+      expect(generateTree(testDir, { followSymlinks: true })).toContain(
+        "up -> ..  [recursive, not followed]"
+      );
+    });
+  });
+
+  describe("unreadable entries", () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, "secrets"));
+      fs.mkdirSync(path.join(testDir, "src"));
+      fs.writeFileSync(path.join(testDir, "src", "a.js"), "");
+      // Runs as root in CI too, where chmod can't make a folder unreadable
+      const readdirSync = fs.readdirSync;
+      vi.spyOn(fs, "readdirSync").mockImplementation((dirPath, options) => {
+        if (path.basename(dirPath) === "secrets") {
+          throw Object.assign(new Error("EACCES: permission denied"), { code: "EACCES" });
+        }
+        return readdirSync(dirPath, options);
+      });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it("marks them inline and lists them on the root", () => {
+      const root = scanDirectory(testDir, { include: ["*.js"] });
+      expect(root.errors).toEqual([
+        { path: "secrets", error: "permission denied", code: "EACCES" },
+      ]);
+      expect(formatTree(root, "ascii").split("\n").slice(1, 3)).toEqual([
+        "|-- secrets/ [permission denied]",
+        "`-- src/",
+      ]);
+    });
+
+    it("adds them to JSON output under $errors", () => {
+      const json = JSON.parse(generateTree(testDir, { format: "json" }));
+      expect(json).toEqual({
+        secrets: {},
+        src: { "a.js": null },
+        $errors: [{ path: "secrets", error: "permission denied", code: "EACCES" }],
+      });
+    });
+
+    it("captures the rest of the directory for a template", () => {
+      fs.writeFileSync(path.join(testDir, "src", "b.js"), "b");
+      const openSync = fs.openSync;
+      vi.spyOn(fs, "openSync").mockImplementation((filePath, ...rest) => {
+        if (path.basename(filePath) === "a.js") {
+          throw Object.assign(new Error("EACCES: permission denied"), { code: "EACCES" });
+        }
+        return openSync(filePath, ...rest);
+      });
+
+      const { structure, errors } = readDirectoryStructure(testDir);
+      expect(structure).toEqual({ secrets: {}, src: { "a.js": null, "b.js": "b" } });
+      expect(errors).toEqual([
+        { path: "secrets", error: "permission denied", code: "EACCES" },
+        { path: "src/a.js", error: "permission denied", code: "EACCES" },
+      ]);
+    });
+
+    it("marks them in generateTreeForSkeldir too", () => {
+      expect(generateTreeForSkeldir(testDir)).toEqual([
+        "├── secrets/ [permission denied]",
+        "└── src/",
+        "    └── a.js",
+      ]);
+    });
+
+    it("reports symlink loops", () => {
+      fs.symlinkSync("b", path.join(testDir, "src", "a"));
+      fs.symlinkSync("a", path.join(testDir, "src", "b"));
+      const root = scanDirectory(path.join(testDir, "src"), { followSymlinks: true });
+      expect(root.errors.map((e) => `${e.path}: ${e.error}`)).toEqual([
+        "a: too many levels of symbolic links",
+        "b: too many levels of symbolic links",
+      ]);
+    });
+  });
+
+  describe("generateTree annotations", () => {
+    it("appends the requested stats and a summary", () => {
+      fs.mkdirSync(path.join(testDir, "src"));
+      fs.writeFileSync(path.join(testDir, "src", "a.js"), "x\n".repeat(600));
+      const tree = generateTree(testDir, { size: true, lines: true, count: true, summary: true });
+      expect(tree.split("\n").slice(1)).toEqual([
+        "└── src/  (1.2 KB, 600 lines, 1 file)",
+        "    └── a.js  (1.2 KB, 600 lines)",
+        "",
+        "1 folder, 1 file, 1.2 KB, 600 lines",
+        "  .js  1 file  1.2 KB  600 lines",
+        "",
+      ]);
+    });
+  });
+});
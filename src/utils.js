@@ -1,4 +1,5 @@
 import chalk from "chalk";
+import fs from "fs";
 import os from "os";
 
 export const isWindows = os.platform() === "win32";
@@ -18,3 +19,14 @@ export function isValidProjectName(name) {
 export function sanitizeName(name) {
   return name.replace(/[\\\/:\*\?"<>\|\r\n]/g, "").trim();
 }
+
+// lstat that returns undefined for a path that isn't there, including one
+// that runs through a file (ENOTDIR), so a broken symlink still counts
+export function lstatIfExists(filePath) {
+  try {
+    return fs.lstatSync(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return undefined;
+    throw error;
+  }
+}
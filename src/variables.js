@@ -0,0 +1,144 @@
+import { execSync } from "child_process";
+import os from "os";
+import { getAnnotation, setAnnotation, getSymlink, setSymlink } from "./parser.js";
+import { sanitizeName } from "./utils.js";
+
+export const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+function readGitConfig(key) {
+  try {
+    return execSync(`git config --get ${key}`, { stdio: "pipe" }).toString().trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function toPackageName(projectName) {
+  return projectName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Throws when the user has no passwd entry, as in many containers
+function readUserName() {
+  try {
+    return os.userInfo().username || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The author values run git, so they're only looked up when `names` (a Set,
+// default all) asks for them
+export function getDefaultVariables(projectName, names) {
+  const wants = (name) => !names || names.has(name);
+  const now = new Date();
+  const variables = {
+    projectName,
+    packageName: toPackageName(projectName),
+    year: String(now.getFullYear()),
+    date: now.toISOString().slice(0, 10),
+  };
+
+  const author = wants("author") && (readGitConfig("user.name") || readUserName());
+  if (author) variables.author = author;
+  const authorEmail = wants("authorEmail") && readGitConfig("user.email");
+  if (authorEmail) variables.authorEmail = authorEmail;
+
+  return variables;
+}
+
+// --var name=value, repeatable
+export function parseVariableFlags(flags = []) {
+  const variables = {};
+  for (const flag of flags) {
+    const eq = flag.indexOf("=");
+    if (eq <= 0) {
+      throw new Error(`Invalid --var '${flag}'. Use --var name=value`);
+    }
+    variables[flag.slice(0, eq).trim()] = flag.slice(eq + 1);
+  }
+  return variables;
+}
+
+// Variables used in file and folder names and symlink targets. Contents are
+// only searched with `contents`: a `{{ message }}` there may belong to Vue or
+// Handlebars, so only variables that are known or declared are filled in.
+export function findVariables(structure, options = {}, found = new Set()) {
+  for (const key in structure) {
+    const value = structure[key];
+    const target = getSymlink(structure, key) || "";
+    const content = options.contents && typeof value === "string" ? value : "";
+    for (const match of `${key} ${target} ${content}`.matchAll(VARIABLE_PATTERN)) {
+      found.add(match[1]);
+    }
+    if (value && typeof value === "object") findVariables(value, options, found);
+  }
+  return found;
+}
+
+// Unknown variables are left as written, so `{{ message }}` in a Vue or
+// Handlebars file survives untouched.
+export function interpolate(text, variables) {
+  return text.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+  );
+}
+
+// Whether a name, once its variables are filled in, would point outside its
+// folder: an absolute path, or a "." or ".." segment
+export function escapesFolder(name) {
+  if (/^(?:[\\/]|[A-Za-z]:[\\/])/.test(name)) return true;
+  return name.split(/[\\/]/).some((part) => part.trim() === "." || part.trim() === "..");
+}
+
+function mergeInto(target, key, value) {
+  const existing = target[key];
+  if (existing && typeof existing === "object" && value && typeof value === "object") {
+    for (const childKey in value) mergeInto(existing, childKey, value[childKey]);
+  } else {
+    target[key] = value;
+  }
+}
+
+// Keys are interpolated too; a value containing "/" (e.g. a package path
+// like com/acme/billing) expands into nested folders, but never out of the
+// project: "../x" or an absolute path is an error.
+export function interpolateStructure(structure, variables) {
+  const result = {};
+
+  for (const key in structure) {
+    let value = structure[key];
+    if (typeof value === "string") {
+      value = interpolate(value, variables);
+    } else if (value && typeof value === "object") {
+      value = interpolateStructure(value, variables);
+    }
+
+    const expanded = interpolate(key, variables);
+    if (escapesFolder(expanded)) {
+      throw new Error(`'${key}' expands to '${expanded}', which is outside the project folder`);
+    }
+    const parts = expanded
+      .split("/")
+      .map(sanitizeName)
+      .filter(Boolean);
+    if (!parts.length) continue;
+
+    let parent = result;
+    for (const part of parts.slice(0, -1)) {
+      if (!parent[part] || typeof parent[part] !== "object") parent[part] = {};
+      parent = parent[part];
+    }
+    const name = parts[parts.length - 1];
+    mergeInto(parent, name, value);
+
+    const comment = getAnnotation(structure, key);
+    if (comment) setAnnotation(parent, name, comment);
+    const target = getSymlink(structure, key);
+    if (target) setSymlink(parent, name, interpolate(target, variables));
+  }
+
+  return result;
+}
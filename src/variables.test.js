@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from "vitest";
+import os from "os";
+import {
+  toPackageName,
+  getDefaultVariables,
+  parseVariableFlags,
+  findVariables,
+  interpolate,
+  interpolateStructure,
+} from "./variables.js";
+import { parseTree, getAnnotation } from "./parser.js";
+
+describe("variables", () => {
+  describe("getDefaultVariables", () => {
+    it("derives values from the project name and date", () => {
+      const variables = getDefaultVariables("Billing-Service");
+      expect(variables.projectName).toBe("Billing-Service");
+      expect(variables.packageName).toBe("billing_service");
+      expect(variables.year).toBe(String(new Date().getFullYear()));
+      expect(variables.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it("only looks up the author when asked for it", () => {
+      vi.spyOn(os, "userInfo").mockImplementation(() => {
+        throw new Error("no passwd entry");
+      });
+      try {
+        const variables = getDefaultVariables("app", new Set(["projectName"]));
+        expect(variables).not.toHaveProperty("author");
+        expect(variables).not.toHaveProperty("authorEmail");
+        expect(() => getDefaultVariables("app", new Set(["author"]))).not.toThrow();
+      } finally {
+        vi.restoreAllMocks();
+      }
+    });
+  });
+
+  describe("toPackageName", () => {
+    it("produces an identifier-safe name", () => {
+      expect(toPackageName("My App 2")).toBe("my_app_2");
+      expect(toPackageName("--svc--")).toBe("svc");
+    });
+  });
+
+  describe("parseVariableFlags", () => {
+    it("parses name=value pairs", () => {
+      expect(parseVariableFlags(["author=Ana", "url=http://x?a=b"])).toEqual({
+        author: "Ana",
+        url: "http://x?a=b",
+      });
+    });
+
+    it("rejects flags without a name", () => {
+      expect(() => parseVariableFlags(["novalue"])).toThrow(/Invalid --var/);
+      expect(() => parseVariableFlags(["=x"])).toThrow(/Invalid --var/);
+    });
+  });
+
+  describe("findVariables", () => {
+    it("finds variables in names and symlink targets, not contents", () => {
+      const structure = parseTree([
+        "{{packageName}}/",
+        "  {{ module }}.py",
+        "  App.vue",
+        "current -> releases/{{version}}",
+      ]);
+      structure["{{packageName}}"]["App.vue"] = "<p>{{ message }}</p>";
+      expect([...findVariables(structure)].sort()).toEqual(["module", "packageName", "version"]);
+    });
+
+    it("searches contents when asked to", () => {
+      const structure = { LICENSE: "(c) {{year}} {{ author }}", src: { "a.js": null } };
+      expect([...findVariables(structure, { contents: true })].sort()).toEqual(["author", "year"]);
+    });
+  });
+
+  describe("interpolate", () => {
+    it("replaces known variables and keeps unknown ones", () => {
+      expect(interpolate("{{projectName}} {{ message }}", { projectName: "app" })).toBe(
+        "app {{ message }}"
+      );
+    });
+
+    it("leaves JSX double braces alone", () => {
+      expect(interpolate("style={{ color: 'red' }}", { color: "x" })).toBe(
+        "style={{ color: 'red' }}"
+      );
+    });
+  });
+
+  describe("interpolateStructure", () => {
+    it("interpolates file and folder names", () => {
+      const structure = {
+        src: { "{{packageName}}": { "__init__.py": null } },
+        "README.md": "# {{projectName}}",
+      };
+      expect(interpolateStructure(structure, { packageName: "svc", projectName: "Svc" })).toEqual(
+        { src: { svc: { "__init__.py": null } }, "README.md": "# Svc" }
+      );
+    });
+
+    it("expands values containing slashes into nested folders", () => {
+      const structure = {
+        "{{packagePath}}": { "App.java": null },
+        com: { "Other.java": null },
+      };
+      expect(interpolateStructure(structure, { packagePath: "com/acme" })).toEqual({
+        com: { acme: { "App.java": null }, "Other.java": null },
+      });
+    });
+
+    it("refuses values that lead out of the project folder", () => {
+      const structure = { src: { "{{f}}": "echo hi\n" } };
+      for (const f of ["../../outside/planted.sh", "a/./b", "/etc/x", "C:\\x", "..\\x"]) {
+        expect(() => interpolateStructure(structure, { f })).toThrow(/outside the project folder/);
+      }
+      expect(interpolateStructure(structure, { f: "..a/b.sh" })).toEqual({
+        src: { "..a": { "b.sh": "echo hi\n" } },
+      });
+    });
+
+    it("keeps annotations", () => {
+      const structure = parseTree(["├── {{name}}.py  # entry point", "└── b.py"]);
+      const result = interpolateStructure(structure, { name: "main" });
+      expect(getAnnotation(result, "main.py")).toBe("entry point");
+    });
+  });
+});